@@ -1,20 +1,39 @@
 // bot.js
-import { makeWASocket, useMultiFileAuthState, DisconnectReason } from "@whiskeysockets/baileys";
+import baileys, { makeWASocket, useMultiFileAuthState, DisconnectReason } from "@whiskeysockets/baileys";
 import pino from "pino";
 import database from "./database.js";
 import anonymousChat from "./modules/menu.js";
 import AdvertiseManager from "./modules/advertise.js";
+import { getStoredMessage } from "./modules/relaymap.js";
+import { parseCommand } from "./modules/commands.js";
+import { translate } from "./modules/i18n.js";
+import { useDatabaseAuthState } from "./modules/authstate.js";
+import config from "./config.js";
 
-const RECONNECT_INTERVAL = 5000;
+// proto is only on the CommonJS export object, not a named ESM export
+const { proto } = baileys;
+
+const RECONNECT_INTERVAL = config.connection?.reconnectInterval ?? 5000;
 const KEEP_ALIVE_INTERVAL = 10000;
 const CONNECT_TIMEOUT = 60000;
 const MESSAGE_HISTORY_HOURS = 6;
 
-export async function startBot() {
+/**
+ * Connect to WhatsApp and wire up the event handlers
+ * @param {Object} options - Replacements for offline runs
+ * @param {Function} options.makeSocket - Builds the socket; defaults to Baileys' makeWASocket
+ * @param {Object} options.auth - { state, saveCreds }; defaults to the store in config.auth
+ * @param {Function} options.onSessionLost - Called instead of reconnecting once another instance took the session over
+ * @returns {Object} - The socket
+ */
+export async function startBot(options = {}) {
+    const { makeSocket = makeWASocket } = options;
+
     try {
-        const { state, saveCreds } = await useMultiFileAuthState("session");
+        let bot;
+        const { state, saveCreds } = options.auth || await loadAuthState(() => bot);
         
-        const bot = makeWASocket({
+        bot = makeSocket({
             printQRInTerminal: true,
             auth: state,
             logger: pino({ level: "silent" }),
@@ -23,11 +42,14 @@ export async function startBot() {
             shouldSyncHistoryMessage: () => true,
             keepAliveIntervalMs: KEEP_ALIVE_INTERVAL,
             connectTimeoutMs: CONNECT_TIMEOUT,
-            downloadHistory: true
+            downloadHistory: true,
+            getMessage: getStoredMessage
         });
 
         setupMessageHandler(bot);
-        setupConnectionHandler(bot);
+        setupMessageUpdateHandler(bot);
+        setupPresenceHandler(bot);
+        setupConnectionHandler(bot, options);
         setupHistoryHandler(bot);
         
         // Save credentials when updated
@@ -41,8 +63,29 @@ export async function startBot() {
         return bot;
     } catch (err) {
         console.error('[Fatal Error]:', err);
-        setTimeout(startBot, RECONNECT_INTERVAL);
+        setTimeout(() => startBot(options), RECONNECT_INTERVAL);
+    }
+}
+
+/**
+ * Load the login from the configured store
+ * @param {Function} getBot - Returns the current socket, which is closed if
+ *   another instance takes the session over
+ */
+async function loadAuthState(getBot) {
+    if (config.auth?.store === 'files') {
+        return await useMultiFileAuthState(config.bot.sessionPath);
     }
+
+    return await useDatabaseAuthState({
+        sessionPath: config.bot.sessionPath,
+        onLockLost: async () => {
+            // Two sockets on the same creds log each other out, so this one steps down
+            const error = new Error('Session taken over by another instance');
+            error.sessionTakenOver = true;
+            getBot()?.end(error);
+        }
+    });
 }
 
 function setupMessageHandler(bot) {
@@ -57,19 +100,70 @@ function setupMessageHandler(bot) {
 
         console.log(`[Message] From ${from}: ${body}`);
 
+        await anonymousChat.markIncomingRead(bot, msg);
+
         if (body) {
-            await handleCommand(bot, msg, body, from);
+            // Text that no command took, such as "..." or ".lol", is relayed
+            if (!await handleCommand(bot, msg, body, from)) {
+                await handleChatMessage(bot, msg, body, from);
+            }
+        } else if (hasBodylessContent(msg)) {
             await handleChatMessage(bot, msg, body, from);
         }
     });
 }
 
-function setupConnectionHandler(bot) {
+// Message types without a text body that still need relaying
+const BODYLESS_RELAY_TYPES = [
+    'reactionMessage',
+    'locationMessage', 'liveLocationMessage',
+    'contactMessage', 'contactsArrayMessage',
+    'pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'
+];
+
+// Protocol messages also carry key shares, history sync and ephemeral
+// settings; only edits and "delete for everyone" concern the partner
+const RELAYED_PROTOCOL_TYPES = [
+    proto.Message.ProtocolMessage.Type.REVOKE,
+    proto.Message.ProtocolMessage.Type.MESSAGE_EDIT
+];
+
+function hasBodylessContent(msg) {
+    const protocolMessage = msg.message?.protocolMessage || msg.message?.editedMessage?.message?.protocolMessage;
+    if (protocolMessage) {
+        return RELAYED_PROTOCOL_TYPES.includes(protocolMessage.type);
+    }
+    return BODYLESS_RELAY_TYPES.some(type => msg.message?.[type]);
+}
+
+function setupPresenceHandler(bot) {
+    bot.ev.on('presence.update', async ({ id, presences }) => {
+        await anonymousChat.relayPresence(bot, id, presences);
+    });
+}
+
+function setupMessageUpdateHandler(bot) {
+    bot.ev.on('messages.update', async (updates) => {
+        for (const { key, update } of updates) {
+            // Decrypted votes on a relayed poll
+            if (update.pollUpdates?.length) {
+                await anonymousChat.relayPollVotes(bot, key, update.pollUpdates);
+            }
+
+            // The partner read (or played) a relayed message
+            if (update.status >= proto.WebMessageInfo.Status.READ) {
+                await anonymousChat.relayReadReceipt(bot, key);
+            }
+        }
+    });
+}
+
+function setupConnectionHandler(bot, options) {
     bot.ev.on("connection.update", async (update) => {
         const { connection, lastDisconnect } = update;
         
         if (connection === "close") {
-            handleDisconnection(lastDisconnect);
+            handleDisconnection(lastDisconnect, options);
         } else if (connection === "open") {
             await handleSuccessfulConnection(bot);
         }
@@ -87,61 +181,45 @@ function setupHistoryHandler(bot) {
     });
 }
 
+/**
+ * @returns {Boolean} - True if the message was taken as a command
+ */
 async function handleCommand(bot, msg, body, from) {
-    const isCommand = body.startsWith('.') || body.startsWith('/');
-    if (!isCommand) return;
+    const parsed = parseCommand(body);
+    if (!parsed) return false;
 
-    const command = body.slice(1).trim().split(' ')[0].toLowerCase();
-    console.log(`[Command] Processing: ${command}`);
+    console.log(`[Command] Processing: ${parsed.name}`);
 
     try {
-        if (command === 'menu' || command === 'help') {
-            await sendMenuMessage(bot, from);
-            return;
-        }
-
-        if (['search', 'next', 'stop', 'sendpp', 'addad', 'listads', 'delad', 'adstats'].includes(command)) {
-            const modifiedMsg = createModifiedMessage(msg, body);
-            const handled = await anonymousChat.processCommand(bot, modifiedMsg, from);
-            if (handled) {
-                console.log(`[Command] Successfully handled: ${command}`);
-            }
+        const modifiedMsg = createModifiedMessage(msg, body);
+        const handled = await anonymousChat.processCommand(bot, modifiedMsg, from);
+        if (handled) {
+            console.log(`[Command] Successfully handled: ${parsed.name}`);
         }
+        return handled;
     } catch (error) {
         console.error('[Error] Command processing failed:', error);
         await bot.sendMessage(from, { 
-            text: '❌ An error occurred while processing your command. Please try again.' 
+            text: await translate(from, 'common.error')
         });
+        return true;
     }
 }
 
 async function handleChatMessage(bot, msg, body, from) {
-    if (!body.startsWith('.') && !body.startsWith('/')) {
-        try {
-            const relayed = await anonymousChat.relayMessage(bot, msg, from);
-            if (relayed) {
-                console.log('[Chat] Message relayed successfully');
-            }
-        } catch (error) {
-            console.error('[Error] Message relay failed:', error);
+    try {
+        const relayed = await anonymousChat.relayMessage(bot, msg, from);
+        if (relayed) {
+            console.log('[Chat] Message relayed successfully');
+        } else {
+            // Only live messages; replayed history never greets anyone
+            await anonymousChat.welcomeNewUser(bot, from);
         }
+    } catch (error) {
+        console.error('[Error] Message relay failed:', error);
     }
 }
 
-async function sendMenuMessage(bot, from) {
-    const menuMessage = `*Anonymous Chat Bot*\n\n` +
-        `Chat with random people anonymously!\n\n` +
-        `*Available Commands:*\n` +
-        `*.search* - Find a chat partner\n` +
-        `*.next* - Find a new partner\n` +
-        `*.stop* - End the chat\n` +
-        `*.sendpp* - Share your profile picture\n\n` +
-        `Start chatting now! Type *.search* to begin.`;
-
-    await bot.sendMessage(from, { text: menuMessage });
-    console.log('[Menu] Sent successfully');
-}
-
 function extractMessageBody(msg) {
     const messageTypes = msg.message;
     if (!messageTypes) return '';
@@ -174,6 +252,8 @@ function extractMessageBody(msg) {
         return 'View Once Message V2';
     }
     
+    if (messageTypes.viewOnceMessageV2Extension?.message?.audioMessage) return 'View Once Audio';
+    
     // Sticker messages
     if (messageTypes.stickerMessage) return 'Sticker';
     
@@ -194,19 +274,33 @@ function createModifiedMessage(msg, body) {
     };
 }
 
-function handleDisconnection(lastDisconnect) {
+function handleDisconnection(lastDisconnect, options) {
     const shouldReconnect = (lastDisconnect?.error)?.output?.statusCode !== DisconnectReason.loggedOut;
     console.log(`[Connection] Closed due to ${lastDisconnect?.error?.message || 'unknown reason'}`);
+
+    if (lastDisconnect?.error?.sessionTakenOver) {
+        // The other instance holds the lock now; reconnecting would only fail on it
+        console.log('[Connection] Session moved to another instance, not reconnecting');
+        anonymousChat.stopBackgroundJobs();
+        options.onSessionLost?.();
+        return;
+    }
     
     if (shouldReconnect) {
         console.log('[Connection] Attempting to reconnect...');
-        setTimeout(startBot, RECONNECT_INTERVAL);
+        // Reconnect with the same socket factory and auth state
+        setTimeout(() => startBot(options), RECONNECT_INTERVAL);
     }
 }
 
 async function handleSuccessfulConnection(bot) {
     console.log('[Connection] Successfully connected to WhatsApp');
     console.log(`[Bot] Using number: ${bot.user.id.split(":")[0]}`);
+
+    // Background jobs pick up the current socket through global.bot
+    global.bot = bot;
+    await anonymousChat.initializeCollections();
+    await anonymousChat.subscribeChattingUsers(bot);
     
     try {
         // Initialize collections and process pending messages
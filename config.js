@@ -32,6 +32,15 @@ const config = {
         sessionPath: process.env.SESSION_PATH || "./session",
     },
     
+    // Penyimpanan login WhatsApp
+    // store: database (bisa dipakai ulang setelah container di-rebuild) atau files (folder bot.sessionPath)
+    auth: {
+        store: process.env.AUTH_STORE || 'database',
+        sessionId: process.env.SESSION_ID || 'default',      // one session per bot number
+        lockTtl: parseNumber(process.env.AUTH_LOCK_TTL, 60000),  // another replica may take over after this long without a heartbeat
+        heartbeatInterval: parseNumber(process.env.AUTH_HEARTBEAT, 20000),
+    },
+
     // Konfigurasi Koneksi
     connection: {
         usePairingCode: parseBoolean(process.env.USE_PAIRING_CODE) ?? true,
@@ -41,23 +50,90 @@ const config = {
     },
     
     // Konfigurasi Database
+    // driver: mongodb, memory (hilang saat restart) atau file (JSON di db.file)
     db: {
+        driver: process.env.DB_DRIVER || 'mongodb',
         url: process.env.MONGODB_URI,
         name: process.env.DB_NAME,
+        file: process.env.DB_FILE || './data/db.json',
     },
 
     // Anonymous chat settings
     anonymousChat: {
         enabled: true,
-        cooldown: 60000,  // 1 minute cooldown between searches
+        cooldown: parseNumber(process.env.SEARCH_COOLDOWN, 60000),  // 1 minute cooldown between searches
         collection: 'anonymous_chat',
+        tagMatchTimeout: parseNumber(process.env.TAG_MATCH_TIMEOUT, 60000),  // wait for shared interests before going random
+        maxTags: parseNumber(process.env.MAX_SEARCH_TAGS, 5),
+        recentPartnerWindow: parseNumber(process.env.RECENT_PARTNER_WINDOW, 3600000),  // don't rematch recent partners for 1 hour
+        searchTimeout: parseNumber(process.env.SEARCH_TIMEOUT, 1800000), // give up a search after 30 minutes
+        idleWarning: parseNumber(process.env.IDLE_WARNING, 600000),   // warn after 10 minutes of silence
+        idleGrace: parseNumber(process.env.IDLE_GRACE, 300000),       // end the chat 5 minutes after the warning
+        messageMapTtl: parseNumber(process.env.MESSAGE_MAP_TTL, 604800000),           // keep relayed message links for 7 days
+        storeMessageContent: parseBoolean(process.env.STORE_MESSAGE_CONTENT),         // also keep message bodies, for quote previews and resends
+        messageContentTtl: parseNumber(process.env.MESSAGE_CONTENT_TTL, 3600000),     // stored bodies are dropped after 1 hour
+    },
+    
+    // Stored media (GridFS on MongoDB)
+    media: {
+        queueTtl: parseNumber(process.env.MEDIA_QUEUE_TTL, 86400000),     // queued media kept 1 day
+        reportTtl: parseNumber(process.env.MEDIA_REPORT_TTL, 2592000000), // report evidence kept 30 days
+    },
+
+    // Delivery queue for relays that failed
+    queue: {
+        maxRetries: parseNumber(process.env.QUEUE_MAX_RETRIES, 5),
+        retryDelay: parseNumber(process.env.QUEUE_RETRY_DELAY, 30000),  // doubled after every failed attempt
+    },
+
+    // Flood protection (token buckets per user)
+    rateLimit: {
+        text: {
+            capacity: parseNumber(process.env.RATE_LIMIT_TEXT_BURST, 15),
+            refillPerMinute: parseNumber(process.env.RATE_LIMIT_TEXT_PER_MINUTE, 30),
+        },
+        media: {
+            capacity: parseNumber(process.env.RATE_LIMIT_MEDIA_BURST, 5),
+            refillPerMinute: parseNumber(process.env.RATE_LIMIT_MEDIA_PER_MINUTE, 10),
+        },
+        command: {
+            capacity: parseNumber(process.env.RATE_LIMIT_COMMAND_BURST, 5),
+            refillPerMinute: parseNumber(process.env.RATE_LIMIT_COMMAND_PER_MINUTE, 10),
+        },
+        warnings: parseNumber(process.env.RATE_LIMIT_WARNINGS, 1),           // warnings before a cooldown
+        warningWindow: parseNumber(process.env.RATE_LIMIT_WARNING_WINDOW, 60000),
+        cooldown: parseNumber(process.env.RATE_LIMIT_COOLDOWN, 300000),     // 5 minutes muted
+    },
+
+    // Content filter for relayed text and captions
+    // Actions: mask (hide or defang the match), drop (hold the message back),
+    // strike (hold it back and count a strike), off
+    filter: {
+        phone: { action: process.env.FILTER_PHONE_ACTION || 'mask' },
+        url: { action: process.env.FILTER_URL_ACTION || 'mask' },
+        handle: { action: process.env.FILTER_HANDLE_ACTION || 'mask' },
+        words: { action: process.env.FILTER_WORDS_ACTION || 'mask' },
+        strikeLimit: parseNumber(process.env.FILTER_STRIKE_LIMIT, 3),                  // strikes before a mute
+        strikeMuteDuration: parseNumber(process.env.FILTER_STRIKE_MUTE, 3600000),
+    },
+
+    // Moderation settings
+    moderation: {
+        reportThreshold: parseNumber(process.env.REPORT_THRESHOLD, 3),  // unique reporters before auto-suspend, 0 disables
     },
     
     // Konfigurasi Pesan
+    // Kalau diisi, teks ini menggantikan teks katalog di semua bahasa
     message: {
-        welcomeMessage: process.env.WELCOME_MESSAGE || "Halo! Saya adalah MauWhats Bot. Ketik !help untuk melihat daftar perintah.",
-        errorMessage: process.env.ERROR_MESSAGE || "Maaf, terjadi kesalahan saat memproses perintah Anda.",
-        notFoundMessage: process.env.NOT_FOUND_MESSAGE || "Perintah tidak ditemukan. Ketik !help untuk melihat daftar perintah.",
+        welcomeMessage: process.env.WELCOME_MESSAGE,
+        errorMessage: process.env.ERROR_MESSAGE,
+        notFoundMessage: process.env.NOT_FOUND_MESSAGE,
+    },
+
+    // Bahasa pesan bot (teks ada di folder locales)
+    i18n: {
+        defaultLocale: process.env.DEFAULT_LOCALE || 'en',
+        countryLocales: { 62: 'id' },  // country calling code -> locale, used until a user picks one with .lang
     },
     
     // Konfigurasi Fitur
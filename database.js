@@ -1,30 +1,41 @@
-import { MongoClient } from 'mongodb';
+
 import config from './config.js';
+import MongoAdapter from './storage/mongo.js';
+import MemoryAdapter from './storage/memory.js';
+import FileAdapter from './storage/file.js';
+
+/**
+ * Pick the storage adapter from config.db.driver
+ * @returns {Object} - An adapter: 'mongodb', 'memory' or 'file'
+ */
+function createAdapter(db = config.db) {
+    switch (db.driver || 'mongodb') {
+        case 'mongodb':
+            return new MongoAdapter(db.url, db.name);
+        case 'memory':
+            return new MemoryAdapter();
+        case 'file':
+            return new FileAdapter(db.file || './data/db.json');
+        default:
+            throw new Error(`Unknown storage driver "${db.driver}". Use mongodb, memory or file`);
+    }
+}
 
 class Database {
     constructor() {
-        this.client = null;
-        this.db = null;
+        this.adapter = null;
     }
 
-    async connect(url = config.db.url, dbName = config.db.name) {
+    /**
+     * Connect the storage backend
+     * @param {Object} adapter - Use this adapter instead of the configured one
+     */
+    async connect(adapter = createAdapter()) {
         try {
-            // Check if MongoDB URI is configured
-            if (!url) {
-                throw new Error('MongoDB URI is not configured. Please set MONGODB_URI in your .env file');
-            }
-            
-            // Check if database name is configured
-            if (!dbName) {
-                throw new Error('MongoDB database name is not configured. Please set DB_NAME in your .env file');
-            }
-
-            this.client = new MongoClient(url);
-            await this.client.connect();
-            this.db = this.client.db(dbName);
-            console.log('Connected to MongoDB successfully');
+            this.adapter = adapter;
+            await this.adapter.connect();
         } catch (error) {
-            console.error('MongoDB connection error:', error);
+            console.error(`[Database] Connection error (${adapter.name}):`, error);
             throw error;
         }
     }
@@ -35,12 +46,41 @@ class Database {
             await this.createCollection('anonymous_chat');
             await this.createCollection('message_queue');
             await this.createCollection('advertisements');
+            await this.createCollection('reports');
+            await this.createCollection('bans');
+            await this.createCollection('banned_words');
+            await this.createCollection('message_map');
+            await this.createCollection('templates');
+            await this.createCollection('auth_state');
             
             // Create indexes for better performance
-            await this.db.collection('anonymous_chat').createIndex({ status: 1 });
-            await this.db.collection('anonymous_chat').createIndex({ lastSearchTime: 1 });
-            await this.db.collection('message_queue').createIndex({ timestamp: 1 });
-            await this.db.collection('advertisements').createIndex({ type: 1 });
+            await this.createIndex('anonymous_chat', { id: 1 }, { unique: true });
+            await this.createIndex('anonymous_chat', { status: 1 });
+            await this.createIndex('anonymous_chat', { lastSearchTime: 1 });
+            await this.createIndex('anonymous_chat', { status: 1, tags: 1 });
+            await this.createIndex('message_queue', { timestamp: 1 });
+            await this.createIndex('message_queue', { status: 1, nextAttemptAt: 1 });
+            await this.createIndex('advertisements', { type: 1 });
+            await this.createIndex('reports', { reported: 1, status: 1 });
+            await this.createIndex('reports', { status: 1, createdAt: 1 });
+            // One pending report per reporter and reported user
+            await this.createIndex('reports', { reporter: 1, reported: 1 }, {
+                unique: true,
+                partialFilterExpression: { status: 'pending' }
+            });
+            await this.createIndex('bans', { userId: 1, type: 1 }, { unique: true });
+            // Expired bans are removed by the TTL index; permanent bans have expiresAt: null
+            await this.createIndex('bans', { expiresAt: 1 }, { expireAfterSeconds: 0 });
+            await this.createIndex('banned_words', { word: 1 }, { unique: true });
+            await this.createIndex('templates', { name: 1, locale: 1 }, { unique: true });
+            // Also keeps a second replica from creating its own session lock
+            await this.createIndex('auth_state', { session: 1, key: 1 }, { unique: true });
+            await this.createIndex('message_map', { originalJid: 1, originalId: 1 });
+            await this.createIndex('message_map', { relayedJid: 1, relayedId: 1 });
+            await this.createIndex('message_map', { contentExpiresAt: 1 });
+            await this.createIndex('message_map', { createdAt: 1 }, {
+                expireAfterSeconds: Math.round((config.anonymousChat?.messageMapTtl ?? 7 * 24 * 60 * 60 * 1000) / 1000)
+            });
             
             console.log('[Database] Collections initialized successfully');
         } catch (error) {
@@ -51,22 +91,34 @@ class Database {
 
     async createCollection(name) {
         try {
-            const collections = await this.db.listCollections().toArray();
-            if (!collections.some(col => col.name === name)) {
-                await this.db.createCollection(name);
-                console.log(`[Database] Collection '${name}' created`);
-            }
+            await this.getAdapter().createCollection(name);
         } catch (error) {
             console.error(`[Database] Error creating collection '${name}':`, error);
             throw error;
         }
     }
 
-    collection(name) {
-        if (!this.db) {
+    /**
+     * Create an index; the memory and file adapters only honour unique and TTL indexes
+     */
+    async createIndex(name, keys, options = {}) {
+        await this.getAdapter().createIndex(name, keys, options);
+    }
+
+    getAdapter() {
+        if (!this.adapter) {
             throw new Error('Database not connected');
         }
-        return this.db.collection(name);
+        return this.adapter;
+    }
+
+    /**
+     * Turn an ID typed by a user into a document ID
+     * @param {String} value - e.g. a report or ad ID
+     * @returns {*} - The ID to query _id with, or null if it is not a valid ID
+     */
+    toId(value) {
+        return this.getAdapter().toId(value);
     }
 
     // Add this to your Database class methods
@@ -77,7 +129,7 @@ class Database {
      */
     async addToMessageQueue(message) {
         try {
-            return await this.collection('message_queue').insertOne(message);
+            return await this.getAdapter().insertOne('message_queue', message);
         } catch (error) {
             console.error('Error adding message to queue:', error);
             throw error;
@@ -89,12 +141,23 @@ class Database {
      */
     async getPendingMessages() {
         try {
-            return await this.collection('message_queue').find({
-                $or: [
-                    { status: 'pending' },
-                    { status: 'failed', retries: { $lt: 3 } }
+            return await this.getAdapter().find('message_queue', {
+                $and: [
+                    {
+                        $or: [
+                            { status: 'pending' },
+                            { status: 'failed', retries: { $lt: config.queue?.maxRetries ?? 5 } }
+                        ]
+                    },
+                    {
+                        // Respect the backoff of failed attempts
+                        $or: [
+                            { nextAttemptAt: { $exists: false } },
+                            { nextAttemptAt: { $lte: new Date() } }
+                        ]
+                    }
                 ]
-            }).toArray();
+            }, { sort: { timestamp: 1 } });
         } catch (error) {
             console.error('Error getting pending messages:', error);
             return [];
@@ -107,7 +170,7 @@ class Database {
      */
     async removeFromMessageQueue(messageId) {
         try {
-            return await this.collection('message_queue').deleteOne({ _id: messageId });
+            return await this.getAdapter().deleteOne('message_queue', { _id: messageId });
         } catch (error) {
             console.error('Error removing message from queue:', error);
             throw error;
@@ -120,7 +183,7 @@ class Database {
      */
     async clearDeliveredMessages(messageIds) {
         try {
-            return await this.collection('message_queue').deleteMany({ 
+            return await this.getAdapter().deleteMany('message_queue', { 
                 _id: { $in: messageIds } 
             });
         } catch (error) {
@@ -135,7 +198,7 @@ class Database {
      */
     async recordOfflineMessage(message) {
         try {
-            return await this.collection('offline_messages').insertOne(message);
+            return await this.getAdapter().insertOne('offline_messages', message);
         } catch (error) {
             console.error('Error recording offline message:', error);
             throw error;
@@ -147,7 +210,7 @@ class Database {
      */
     async getUnprocessedOfflineMessages() {
         try {
-            return await this.collection('offline_messages').find({ processed: false }).toArray();
+            return await this.getAdapter().find('offline_messages', { processed: false });
         } catch (error) {
             console.error('Error getting unprocessed offline messages:', error);
             throw error;
@@ -160,7 +223,7 @@ class Database {
      */
     async markOfflineMessagesAsProcessed(messageIds) {
         try {
-            return await this.collection('offline_messages').updateMany(
+            return await this.getAdapter().updateMany('offline_messages', 
                 { _id: { $in: messageIds } },
                 { $set: { processed: true } }
             );
@@ -172,7 +235,7 @@ class Database {
 
     async findOne(collectionName, query = {}) {
         try {
-            return await this.db.collection(collectionName).findOne(query);
+            return await this.getAdapter().findOne(collectionName, query);
         } catch (error) {
             console.error('[Database] FindOne error:', error);
             return null;
@@ -181,13 +244,22 @@ class Database {
 
     async find(collectionName, query, options = {}) {
         try {
-            return await this.collection(collectionName).find(query, options).toArray();
+            return await this.getAdapter().find(collectionName, query, options);
         } catch (error) {
             console.error(`Error in find (${collectionName}):`, error);
             return [];
         }
     }
 
+    async countDocuments(collectionName, query = {}) {
+        try {
+            return await this.getAdapter().countDocuments(collectionName, query);
+        } catch (error) {
+            console.error(`Error in countDocuments (${collectionName}):`, error);
+            return 0;
+        }
+    }
+
     /**
      * Insert a document into a collection
      * @param {String} collectionName - Name of the collection
@@ -195,45 +267,105 @@ class Database {
      */
     async insertOne(collectionName, document) {
         try {
-            return await this.collection(collectionName).insertOne(document);
+            return await this.getAdapter().insertOne(collectionName, document);
         } catch (error) {
             console.error(`Error inserting document into ${collectionName}:`, error);
             throw error;
         }
     }
 
-    async updateOne(collectionName, filter, update) {
+    async updateOne(collectionName, filter, update, options = {}) {
         try {
-            return await this.collection(collectionName).updateOne(filter, update);
+            return await this.getAdapter().updateOne(collectionName, filter, update, options);
         } catch (error) {
             console.error(`Error in updateOne (${collectionName}):`, error);
             throw error;
         }
     }
 
+    /**
+     * Atomically find a document and update it
+     * @param {String} collectionName - Name of the collection
+     * @param {Object} filter - Query used to select the document
+     * @param {Object} update - Update operations to apply
+     * @param {Object} options - sort, upsert, returnDocument
+     * @returns {Object|null} - The matched document, or null if nothing matched
+     */
+    async findOneAndUpdate(collectionName, filter, update, options = {}) {
+        try {
+            return await this.getAdapter().findOneAndUpdate(collectionName, filter, update, {
+                returnDocument: 'after',
+                ...options
+            });
+        } catch (error) {
+            console.error(`Error in findOneAndUpdate (${collectionName}):`, error);
+            throw error;
+        }
+    }
+
     async deleteOne(collectionName, filter) {
         try {
-            return await this.db.collection(collectionName).deleteOne(filter);
+            return await this.getAdapter().deleteOne(collectionName, filter);
         } catch (error) {
             console.error('[Database] DeleteOne error:', error);
             throw error;
         }
     }
 
+    async deleteMany(collectionName, filter) {
+        try {
+            return await this.getAdapter().deleteMany(collectionName, filter);
+        } catch (error) {
+            console.error(`Error in deleteMany (${collectionName}):`, error);
+            throw error;
+        }
+    }
+
     async updateMany(collectionName, filter, update) {
         try {
-            return await this.collection(collectionName).updateMany(filter, update);
+            return await this.getAdapter().updateMany(collectionName, filter, update);
         } catch (error) {
             console.error(`Error in updateMany (${collectionName}):`, error);
             throw error;
         }
     }
 
+    // --- Files ---
+
+    /**
+     * Store a file
+     * @param {String} bucket - Group of files, e.g. 'media'
+     * @param {Buffer} buffer - The content
+     * @param {Object} options - { filename, metadata }
+     * @returns {String} - The file ID
+     */
+    async saveFile(bucket, buffer, options = {}) {
+        return await this.getAdapter().saveFile(bucket, buffer, options);
+    }
+
+    /**
+     * @returns {Buffer|null} - The content, or null if the file is gone
+     */
+    async loadFile(bucket, id) {
+        return await this.getAdapter().loadFile(bucket, id);
+    }
+
+    async deleteFile(bucket, id) {
+        return await this.getAdapter().deleteFile(bucket, id);
+    }
+
+    /**
+     * Find files by their metadata, e.g. { 'metadata.expiresAt': { $lte: now } }
+     * @returns {Object[]} - { _id, filename, metadata } per file
+     */
+    async findFiles(bucket, filter = {}) {
+        return await this.getAdapter().findFiles(bucket, filter);
+    }
+
     async close() {
-        if (this.client) {
-            await this.client.close();
-            this.client = null;
-            this.db = null;
+        if (this.adapter) {
+            await this.adapter.close();
+            this.adapter = null;
         }
     }
 }
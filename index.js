@@ -1,6 +1,7 @@
 // index.js
 import { startBot } from './bot.js';
 import database from './database.js';
+import { releaseAuthLock } from './modules/authstate.js';
 
 async function initialize() {
     console.log('[Starting] WhatsApp Anonymous Chat Bot is initializing...');
@@ -8,14 +9,15 @@ async function initialize() {
     try {
         // Connect to database first
         await database.connect();
-        console.log('[Database] Successfully connected to MongoDB');
+        console.log(`[Database] Successfully connected (${database.adapter.name})`);
         
         // Initialize collections through database class
         await database.initializeCollections();
         console.log('[Collections] Successfully initialized all collections');
         
-        // Start the bot
-        await startBot();
+        // Start the bot; exit when another instance takes the session over,
+        // so a restart brings this one back as a standby
+        await startBot({ onSessionLost: () => shutdown(1) });
         console.log('[Bot] Successfully started WhatsApp connection');
     } catch (error) {
         console.error('[Fatal Error] Failed to initialize:', error);
@@ -23,17 +25,22 @@ async function initialize() {
     }
 }
 
-// Handle process termination
-process.on('SIGINT', async () => {
-    console.log('\n[Shutdown] Gracefully shutting down...');
+async function shutdown(exitCode) {
     try {
+        await releaseAuthLock();
         await database.close();
         console.log('[Shutdown] Database connection closed');
-        process.exit(0);
+        process.exit(exitCode);
     } catch (error) {
         console.error('[Shutdown] Error during shutdown:', error);
         process.exit(1);
     }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+    console.log('\n[Shutdown] Gracefully shutting down...');
+    await shutdown(0);
 });
 
 // Start the application
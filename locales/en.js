@@ -0,0 +1,354 @@
+/**
+ * English catalog
+ * Placeholders are written as {name}; entries with `one` / `other` are picked by {count}.
+ */
+export default {
+    common: {
+        yes: 'Yes',
+        no: 'No',
+        error: '❌ An error occurred while processing your command. Please try again.',
+        online: 'Bot is online!',
+        welcome: '👋 Hi! I am {name}, an anonymous chat bot. Type *.search* to meet someone or *.help* to see all commands.'
+    },
+
+    duration: {
+        lessThanMinute: 'less than a minute',
+        minutes: { one: 'about {count} minute', other: 'about {count} minutes' },
+        hours: { one: 'about {count} hour', other: 'about {count} hours' }
+    },
+
+    status: {
+        header: '📊 *Status*\n\n🔍 Waiting: {waiting}\n💬 Chatting: {chatting}\n\n',
+        chatting: 'You are currently in a conversation.',
+        position: 'Your position in the queue: *{position}*\nYou have been waiting {waited}.\n',
+        estimate: 'Estimated wait: {wait}\n',
+        estimateUnknown: 'Estimated wait: unknown (no recent matches)\n',
+        expiresIn: 'Your search expires in {remaining}.',
+        idle: 'You are not searching. Type *.search* to find a partner.'
+    },
+
+    idle: {
+        ended: '💤 Chat ended because nobody wrote anything for a while.\n\nUse *.search* to find a new partner.',
+        warning: '⏰ This chat has been quiet for a while. It will end automatically in {minutes} minutes unless someone sends a message.'
+    },
+
+    search: {
+        expired: '⌛ *Search expired*\n\nNo partner was found within {minutes} minutes.\n\nType *.search* to try again.',
+        partnerFound: '🎉 *Partner found!*\n\n' +
+            'You are now connected to a random person. Be respectful and enjoy your conversation.\n\n' +
+            '{interests}' +
+            'Use *.next* to find a new partner or *.stop* to end the chat.',
+        sharedInterests: '🏷️ Shared interests: {tags}\n\n',
+        alreadyChatting: '❌ You are already in a conversation. Use *.stop* to end the chat first.',
+        suspended: '⛔ Your account has been suspended from searching after multiple reports.',
+        alreadySearching: '🔍 You are already in search mode. Please wait...\n\nUse *.stop* to cancel the search.',
+        stillSearching: '🔍 Still searching for a partner. Please wait...\n\nUse *.stop* to cancel the search.',
+        searching: '🔍 *Searching for a chat partner...*\n\n' +
+            'Please wait while we find someone for you.\n\n' +
+            '{tags}' +
+            'Use *.status* to check your place in the queue or *.stop* to cancel the search.',
+        tagsLine: 'Looking for someone into {tags} first. ' +
+            'If nobody matches within {seconds} seconds, you will be paired with a random partner.\n\n',
+        cooldown: '⏳ Please wait {seconds} seconds before using *.{command}* again.'
+    },
+
+    chat: {
+        notChatting: '❌ You are not in a conversation with anyone.',
+        notChattingOrSearching: '❌ You are not in a conversation or search.',
+        partnerNext: '👋 Your partner has decided to find someone new.',
+        partnerEnded: '👋 Your partner has ended the conversation.',
+        ended: '✅ Chat ended.\n\nUse *.search* to find a new partner.'
+    },
+
+    block: {
+        notChatting: '❌ You can only block someone during a conversation.',
+        done: '🚫 Partner blocked. You will not be matched with them again.\n\nUse *.search* to find a new partner.'
+    },
+
+    media: {
+        notChatting: '❌ You can only allow media during a conversation.',
+        disabled: '🔒 Media sharing disabled for this chat.',
+        partnerDisabled: '🔒 Your partner disabled media sharing for this chat.',
+        enabled: '📷 Media sharing is now enabled for both of you.\n\nType *.allowmedia off* to disable it again.',
+        allowed: '✅ You allowed media. It will be enabled once your partner agrees too.',
+        partnerAsks: '📷 Your partner would like to share photos, videos, stickers and documents.\n\nType *.allowmedia* to allow it.',
+        blocked: '🔒 Media is disabled in this chat until both of you agree.\n\n' +
+            'Type *.allowmedia* to allow media. Your partner has to do the same.',
+        blockedWaiting: '🔒 Media is disabled in this chat until both of you agree.\n\n' +
+            'You already allowed media. Waiting for your partner to type *.allowmedia*.'
+    },
+
+    presence: {
+        current: '⌨️ Typing indicators: *{current}*\n\n' +
+            'Use *.presence on*, *.presence off* or *.presence default* to change ' +
+            'whether your partner sees when you are typing or recording.',
+        disabled: '✅ Your partner will no longer see when you are typing.',
+        enabled: '✅ Your partner will see when you are typing or recording.'
+    },
+
+    receipts: {
+        current: '👀 Read receipts: *{current}*\n\n' +
+            'Use *.receipts on* to let your partner see when you read their messages, ' +
+            'or *.receipts off* to hide it.',
+        enabled: '✅ Your partner will see blue ticks when you read their messages.',
+        disabled: '✅ Your partner will no longer see when you read their messages.'
+    },
+
+    report: {
+        noReason: '❌ Please describe the problem. Usage: *.report <reason>*',
+        noPartner: '❌ There is no current or recent partner to report.',
+        duplicate: '❌ You have already reported this user. An admin will review it soon.',
+        error: '❌ Failed to submit your report. Please try again.',
+        sent: '✅ Thank you. Your report has been sent to the admin.',
+        searchCancelled: '⛔ Your search was cancelled. Your account has been suspended from searching after multiple reports.',
+        adminNew: '🚩 *New Report*\n\n{detail}',
+        adminSuspended: '\n⛔ The reported user reached the report threshold and was suspended from searching.',
+        adminActions: '\nUse *.resolve {id}* or *.dismiss {id}*.'
+    },
+
+    profilePicture: {
+        notChatting: '❌ You must be in a conversation to send your profile picture.',
+        caption: '👤 Partner\'s profile picture.',
+        sent: '✅ Profile picture successfully sent to your partner.',
+        unavailable: '❌ Could not fetch profile picture. Make sure you have a profile picture set.'
+    },
+
+    relay: {
+        types: {
+            viewOnce: 'view-once message',
+            text: 'text message',
+            image: 'image',
+            video: 'video',
+            audio: 'audio message',
+            sticker: 'sticker',
+            document: 'document',
+            contact: 'contact card',
+            poll: 'poll'
+        },
+        quotedMessage: '💬 Message',
+        queued: '⏳ Your {type} could not be delivered right now. It will be retried automatically.',
+        failed: '❌ Failed to send {type} to your partner. Please try again.',
+        viewOnceUnsupported: '❗ This view-once message could not be relayed to your partner.',
+        viewOnceFailed: '👁️ [View-once media could not be relayed]',
+        imageFailed: '📷 [Image could not be relayed]',
+        videoFailed: '🎥 [Video could not be relayed]',
+        audioFailed: '🎵 [Audio message could not be relayed]',
+        stickerFailed: '🌟 [Sticker could not be relayed]',
+        documentFailed: '📄 [Document could not be relayed]',
+        unsupported: '❗ This message type could not be relayed to your partner.',
+        contactReceived: '⚠️ Your partner shared a contact card. Contact details may reveal real identities, ' +
+            'so only share your own information if you trust this person.',
+        contactSent: '⚠️ Contact card sent. Remember that phone numbers in contact cards can reveal who you are.'
+    },
+
+    location: {
+        confirm: '📍 *Share your location?*\n\n' +
+            'A location can reveal where you are. ' +
+            'Type *.sendloc* to send it to your partner or *.sendloc cancel* to discard it.\n\n' +
+            '_This request expires in {minutes} minutes._',
+        nonePending: '❌ There is no location waiting to be sent. Share a location first.',
+        discarded: '🗑️ Location discarded.',
+        chatEnded: '❌ The chat this location was meant for has ended.',
+        sent: '📍 Location sent to your partner.'
+    },
+
+    poll: {
+        voted: '📊 Your partner voted on "{poll}": {options}',
+        unvoted: '📊 Your partner removed their vote on "{poll}"'
+    },
+
+    queue: {
+        deliveryNote: '\n\n_[This message was delivered after a connection issue]_',
+        delivered: '✅ Your message has been delivered.',
+        failed: '❌ Your message could not be delivered after multiple attempts.'
+    },
+
+    ads: {
+        addUsage: '❌ Wrong format!\n\nCorrect format:\n.addad <type> <title> | <content> | <priority> | <days_active>\n\n' +
+            'Example:\n.addad start Welcome | Welcome to the anonymous chat bot! | 5 | 30\n\n' +
+            'Available types: start, search, chat, end',
+        invalidType: '❌ Invalid type!\n\nAvailable types:\nstart, search, chat, end',
+        invalidPriority: '❌ Priority must be a number from 1 to 10',
+        invalidDays: '❌ days_active must be a positive number',
+        added: '✅ Advertisement added!',
+        addFailed: '❌ Failed to add the advertisement',
+        addError: '❌ Something went wrong while adding the advertisement',
+        none: '❌ No advertisements found',
+        list: '📢 *Advertisement List*\n\n{ads}',
+        listItem: 'ID: {id}\nType: {type}\nTitle: {title}\nActive: {active}\nPriority: {priority}\nShows: {shows}\nExpires: {expires}\n',
+        message: '*{title}*\n\n{content}\n\n_This is a promotional message from the bot administrator._',
+        defaultTitle: 'Advertisement',
+        invalidId: '❌ Invalid advertisement ID format',
+        notFound: '❌ Advertisement not found',
+        deleted: '✅ Advertisement "{title}" deleted successfully',
+        deleteError: '❌ Error deleting advertisement: {error}',
+        statsHeader: '📊 *Advertisement Statistics*\n\n',
+        statsTotal: 'Total Ads: {count}\n',
+        statsActive: 'Active Ads: {count}\n',
+        statsImpressions: 'Total Impressions: {count}\n\n',
+        statsTop: 'Top Performing Ads:\n',
+        statsTopItem: {
+            one: '{rank}. "{title}" (ID: {id}) - {count} show\n',
+            other: '{rank}. "{title}" (ID: {id}) - {count} shows\n'
+        },
+        statsError: '❌ Error retrieving advertisement statistics.'
+    },
+
+    moderation: {
+        noReports: '✅ No pending reports',
+        reportList: '🚩 *Pending Reports ({count})*\n\n{reports}\n' +
+            'Use *.viewreport <id>*, *.resolve <id> [note]* or *.dismiss <id> [note]*.',
+        reportNotFound: '❌ Report not found',
+        banUsage: '❌ Usage: .{command} <number> <duration> <reason>\n\n' +
+            'Duration: 30m, 12h, 7d, 2w or perm\n' +
+            'Example: .{command} 6281234567890 1d spamming',
+        banned: '✅ {user} banned until {expiry}',
+        muted: '✅ {user} muted until {expiry}',
+        unbanUsage: '❌ Usage: .unban <number>',
+        banLifted: '✅ Your ban has been lifted. Use *.search* to find a partner.',
+        unbanned: '✅ {user} unbanned',
+        notBanned: '❌ That user is not banned or muted',
+        noBans: '✅ No active bans',
+        banList: '⛔ *Active Bans ({count})*\n\n{bans}',
+        banListItem: 'User: {user}\nType: {type}\nReason: {reason}\nExpires: {expiry}\n',
+        wordAdded: '✅ "{word}" added to the banned words',
+        wordExists: '❌ "{word}" is already banned',
+        wordRemoved: '✅ "{word}" removed from the banned words',
+        wordMissing: '❌ "{word}" is not in the list',
+        wordList: '🚫 *Banned Words ({count})*\n\n{words}',
+        noWords: '✅ No banned words',
+        unsuspendUsage: '❌ Usage: .unsuspend <number>',
+        unsuspended: '✅ {user} can search again',
+        notSuspended: '❌ That user is not suspended',
+        invalidReportId: '❌ Invalid report ID format',
+        pendingReportNotFound: '❌ Pending report not found',
+        reportResolved: '✅ Report {id} resolved',
+        reportDismissed: '✅ Report {id} dismissed',
+        closeReportError: '❌ Error closing report: {error}',
+        evidenceExpired: '❌ The media evidence has expired.',
+        evidenceCaption: '🚩 Evidence for report {id}',
+        reportSummary: 'ID: {id}\nReported: {reported}\nReason: {reason}\nDate: {date}\n',
+        reportDetail: '🚩 *Report {id}*\n\n' +
+            'Status: {status}\nReporter: {reporter}\nReported: {reported}\nReason: {reason}\nDate: {date}\n',
+        reportQuoted: '\nQuoted message:\n"{text}"\n',
+        reportMedia: '\nMedia evidence: {type}\n',
+        reportNote: '\nNote: {note}\n'
+    },
+
+    help: {
+        header: '🤖 *{name}*\n\nChat with random people anonymously!\n\n*Available Commands:*\n',
+        adminHeader: '\n\n*Admin Commands:*\n',
+        footer: '\n\nStart chatting now! Type *{command}* to begin.',
+        usage: '❌ Usage: *{usage}*\n{help}',
+        unknownCommand: '❓ Unknown command. Type *{command}* to see the available commands.'
+    },
+
+    commands: {
+        search: 'Find a chat partner, optionally with shared interests (e.g. music,anime)',
+        next: 'Find a new partner',
+        stop: 'End the chat',
+        status: 'See your place in the queue',
+        block: 'End the chat and never meet this partner again',
+        allowmedia: 'Agree to share photos, videos and stickers',
+        sendloc: 'Confirm sending a shared location',
+        presence: 'Show or hide your typing to your partner',
+        receipts: 'Show or hide when you read messages',
+        report: 'Report your current or last partner',
+        sendpp: 'Share your profile picture',
+        profile: 'Set your profile and partner preferences',
+        menu: 'Show this help message',
+        addad: 'Add an advertisement (send as an image or video caption to attach it)',
+        listads: 'List advertisements',
+        delad: 'Delete an advertisement',
+        adstats: 'Show advertisement statistics',
+        reports: 'List pending reports',
+        viewreport: 'Show a report and its evidence',
+        resolve: 'Close a report as resolved',
+        dismiss: 'Close a report as dismissed',
+        unsuspend: 'Let a suspended user search again',
+        ban: 'Ban a user (duration: 30m, 12h, 7d, 2w or perm)',
+        mute: 'Stop a user\'s messages from reaching partners',
+        unban: 'Lift a ban or mute',
+        banlist: 'List active bans and mutes',
+        addword: 'Add a banned word',
+        delword: 'Remove a banned word',
+        wordlist: 'List banned words',
+        template: 'List the editable texts, or preview one',
+        settemplate: 'Replace an editable text; words in braces are filled in by the bot',
+        resettemplate: 'Go back to the built-in text',
+        lang: 'Choose the language of the bot\'s messages'
+    },
+
+    language: {
+        current: '🌐 Language: *English*\n\nUse *.lang {locales}* to change it.',
+        changed: '✅ The bot will now talk to you in English.'
+    },
+
+    templates: {
+        custom: 'custom',
+        default: 'default',
+        list: '📝 *Editable Texts*\n\n{templates}\n\n' +
+            'Use *.template <name> [lang]* to preview one, *.settemplate <name> <lang> <text>* to change it ' +
+            'and *.resettemplate <name> [lang]* to go back to the built-in text.',
+        listItem: '*{name}* - {states}',
+        preview: '📝 *Template {name}* ({locale}, {source})\n\nPlaceholders: {placeholders}\n\n{text}\n\n' +
+            'Users currently see:',
+        unknownPlaceholder: '❌ This text cannot use {placeholders}. Available placeholders: {allowed}',
+        saved: '✅ Template {name} ({locale}) saved. Use *.template {name} {locale}* to preview it.',
+        saveError: '❌ Failed to save the template: {error}',
+        reset: '✅ Template {name} is back to the built-in text.',
+        notCustom: '❌ Template {name} already uses the built-in text.'
+    },
+
+    ban: {
+        permanent: 'never (permanent)',
+        bannedNotice: '⛔ You have been banned.\n\nReason: {reason}\nExpires: {expiry}',
+        mutedNotice: '⛔ You have been muted.\n\nReason: {reason}\nExpires: {expiry}'
+    },
+
+    filter: {
+        rules: {
+            phone: 'a phone number',
+            url: 'a link',
+            handle: 'a social media handle',
+            words: 'a banned word'
+        },
+        masks: {
+            phone: '[number hidden]',
+            handle: '@[hidden]'
+        },
+        notice: '🚫 Your message was not delivered because it contains {reasons}. Keep the chat anonymous.'
+    },
+
+    rateLimit: {
+        warning: '⚠️ You are sending too fast. Slow down or you will be temporarily muted.',
+        muted: '⏳ You have been muted for {seconds} seconds for flooding.'
+    },
+
+    profile: {
+        any: 'Any',
+        genders: { m: 'Male', f: 'Female' },
+        summary: '👤 *Your Profile*\n\n' +
+            'Gender: {gender}\nAge: {age}\nLanguage: {lang}\n\n' +
+            '🎯 *Partner Preferences*\n\n' +
+            'Gender: {prefGender}\nAge: {prefAge}\nLanguage: {prefLang}\n\n' +
+            'Type *.profile help* to see how to change it.',
+        usage: '👤 *Profile commands*\n\n' +
+            '*.profile* - View your profile and preferences\n' +
+            '*.profile set gender m|f*\n' +
+            '*.profile set age 21*\n' +
+            '*.profile set lang id*\n' +
+            '*.profile pref gender m|f|any* - Partner gender\n' +
+            '*.profile pref age 18-25|any* - Partner age range\n' +
+            '*.profile pref lang en|any* - Partner language\n' +
+            '*.profile clear* - Remove your profile and preferences',
+        invalidGender: '❌ Gender must be *m* or *f*.',
+        invalidAge: '❌ Age must be a number between {min} and {max}.',
+        invalidLang: '❌ Language must be a 2-3 letter code, e.g. *id* or *en*.',
+        invalidPrefGender: '❌ Preferred gender must be *m*, *f* or *any*.',
+        invalidPrefAge: '❌ Age range must look like *18-25* (between {min} and {max}) or *any*.',
+        invalidPrefLang: '❌ Preferred language must be a 2-3 letter code or *any*.',
+        cleared: '✅ Your profile and preferences have been cleared.',
+        updated: '✅ Profile updated.\n\n{profile}'
+    }
+};
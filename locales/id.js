@@ -0,0 +1,351 @@
+/**
+ * Katalog Bahasa Indonesia
+ * Placeholder ditulis sebagai {nama}; entri dengan `one` / `other` dipilih berdasarkan {count}.
+ */
+export default {
+    common: {
+        yes: 'Ya',
+        no: 'Tidak',
+        error: '❌ Terjadi kesalahan saat memproses perintah Anda. Silakan coba lagi.',
+        online: 'Bot sudah online!',
+        welcome: '👋 Halo! Saya {name}, bot chat anonim. Ketik *.search* untuk bertemu seseorang atau *.help* untuk melihat semua perintah.'
+    },
+
+    duration: {
+        lessThanMinute: 'kurang dari semenit',
+        minutes: 'sekitar {count} menit',
+        hours: 'sekitar {count} jam'
+    },
+
+    status: {
+        header: '📊 *Status*\n\n🔍 Menunggu: {waiting}\n💬 Mengobrol: {chatting}\n\n',
+        chatting: 'Anda sedang dalam percakapan.',
+        position: 'Posisi Anda dalam antrean: *{position}*\nAnda sudah menunggu {waited}.\n',
+        estimate: 'Perkiraan waktu tunggu: {wait}\n',
+        estimateUnknown: 'Perkiraan waktu tunggu: belum diketahui (belum ada pasangan baru-baru ini)\n',
+        expiresIn: 'Pencarian Anda berakhir dalam {remaining}.',
+        idle: 'Anda tidak sedang mencari. Ketik *.search* untuk mencari pasangan.'
+    },
+
+    idle: {
+        ended: '💤 Chat diakhiri karena tidak ada yang menulis apa pun untuk beberapa saat.\n\nGunakan *.search* untuk mencari pasangan baru.',
+        warning: '⏰ Chat ini sudah sepi cukup lama. Chat akan berakhir otomatis dalam {minutes} menit kecuali ada yang mengirim pesan.'
+    },
+
+    search: {
+        expired: '⌛ *Pencarian berakhir*\n\nTidak ada pasangan yang ditemukan dalam {minutes} menit.\n\nKetik *.search* untuk mencoba lagi.',
+        partnerFound: '🎉 *Pasangan ditemukan!*\n\n' +
+            'Anda sekarang terhubung dengan orang acak. Bersikaplah sopan dan nikmati obrolan Anda.\n\n' +
+            '{interests}' +
+            'Gunakan *.next* untuk mencari pasangan baru atau *.stop* untuk mengakhiri chat.',
+        sharedInterests: '🏷️ Minat yang sama: {tags}\n\n',
+        alreadyChatting: '❌ Anda sudah dalam percakapan. Gunakan *.stop* untuk mengakhiri chat terlebih dahulu.',
+        suspended: '⛔ Akun Anda ditangguhkan dari pencarian setelah beberapa laporan.',
+        alreadySearching: '🔍 Anda sudah dalam mode pencarian. Mohon tunggu...\n\nGunakan *.stop* untuk membatalkan pencarian.',
+        stillSearching: '🔍 Masih mencari pasangan. Mohon tunggu...\n\nGunakan *.stop* untuk membatalkan pencarian.',
+        searching: '🔍 *Mencari pasangan chat...*\n\n' +
+            'Mohon tunggu, kami sedang mencarikan seseorang untuk Anda.\n\n' +
+            '{tags}' +
+            'Gunakan *.status* untuk melihat posisi Anda dalam antrean atau *.stop* untuk membatalkan pencarian.',
+        tagsLine: 'Mencari seseorang yang menyukai {tags} terlebih dahulu. ' +
+            'Jika tidak ada yang cocok dalam {seconds} detik, Anda akan dipasangkan dengan pasangan acak.\n\n',
+        cooldown: '⏳ Mohon tunggu {seconds} detik sebelum menggunakan *.{command}* lagi.'
+    },
+
+    chat: {
+        notChatting: '❌ Anda tidak sedang dalam percakapan dengan siapa pun.',
+        notChattingOrSearching: '❌ Anda tidak sedang dalam percakapan atau pencarian.',
+        partnerNext: '👋 Pasangan Anda memutuskan untuk mencari orang lain.',
+        partnerEnded: '👋 Pasangan Anda telah mengakhiri percakapan.',
+        ended: '✅ Chat diakhiri.\n\nGunakan *.search* untuk mencari pasangan baru.'
+    },
+
+    block: {
+        notChatting: '❌ Anda hanya bisa memblokir seseorang saat sedang dalam percakapan.',
+        done: '🚫 Pasangan diblokir. Anda tidak akan dipasangkan dengannya lagi.\n\nGunakan *.search* untuk mencari pasangan baru.'
+    },
+
+    media: {
+        notChatting: '❌ Anda hanya bisa mengizinkan media saat sedang dalam percakapan.',
+        disabled: '🔒 Berbagi media dinonaktifkan untuk chat ini.',
+        partnerDisabled: '🔒 Pasangan Anda menonaktifkan berbagi media untuk chat ini.',
+        enabled: '📷 Berbagi media sekarang aktif untuk kalian berdua.\n\nKetik *.allowmedia off* untuk menonaktifkannya lagi.',
+        allowed: '✅ Anda mengizinkan media. Media akan aktif setelah pasangan Anda juga setuju.',
+        partnerAsks: '📷 Pasangan Anda ingin berbagi foto, video, stiker, dan dokumen.\n\nKetik *.allowmedia* untuk mengizinkannya.',
+        blocked: '🔒 Media dinonaktifkan di chat ini sampai kalian berdua setuju.\n\n' +
+            'Ketik *.allowmedia* untuk mengizinkan media. Pasangan Anda juga harus melakukan hal yang sama.',
+        blockedWaiting: '🔒 Media dinonaktifkan di chat ini sampai kalian berdua setuju.\n\n' +
+            'Anda sudah mengizinkan media. Menunggu pasangan Anda mengetik *.allowmedia*.'
+    },
+
+    presence: {
+        current: '⌨️ Indikator mengetik: *{current}*\n\n' +
+            'Gunakan *.presence on*, *.presence off* atau *.presence default* untuk mengatur ' +
+            'apakah pasangan Anda melihat saat Anda sedang mengetik atau merekam.',
+        disabled: '✅ Pasangan Anda tidak akan lagi melihat saat Anda sedang mengetik.',
+        enabled: '✅ Pasangan Anda akan melihat saat Anda sedang mengetik atau merekam.'
+    },
+
+    receipts: {
+        current: '👀 Tanda dibaca: *{current}*\n\n' +
+            'Gunakan *.receipts on* agar pasangan Anda melihat saat Anda membaca pesannya, ' +
+            'atau *.receipts off* untuk menyembunyikannya.',
+        enabled: '✅ Pasangan Anda akan melihat centang biru saat Anda membaca pesannya.',
+        disabled: '✅ Pasangan Anda tidak akan lagi melihat saat Anda membaca pesannya.'
+    },
+
+    report: {
+        noReason: '❌ Jelaskan masalahnya. Cara pakai: *.report <alasan>*',
+        noPartner: '❌ Tidak ada pasangan saat ini atau sebelumnya yang bisa dilaporkan.',
+        duplicate: '❌ Anda sudah melaporkan pengguna ini. Admin akan segera meninjaunya.',
+        error: '❌ Gagal mengirim laporan Anda. Silakan coba lagi.',
+        sent: '✅ Terima kasih. Laporan Anda sudah dikirim ke admin.',
+        searchCancelled: '⛔ Pencarian Anda dibatalkan. Akun Anda ditangguhkan dari pencarian setelah beberapa laporan.',
+        adminNew: '🚩 *Laporan Baru*\n\n{detail}',
+        adminSuspended: '\n⛔ Pengguna yang dilaporkan mencapai batas laporan dan ditangguhkan dari pencarian.',
+        adminActions: '\nGunakan *.resolve {id}* atau *.dismiss {id}*.'
+    },
+
+    profilePicture: {
+        notChatting: '❌ Anda harus sedang dalam percakapan untuk mengirim foto profil.',
+        caption: '👤 Foto profil pasangan.',
+        sent: '✅ Foto profil berhasil dikirim ke pasangan Anda.',
+        unavailable: '❌ Tidak dapat mengambil foto profil. Pastikan Anda sudah memasang foto profil.'
+    },
+
+    relay: {
+        types: {
+            viewOnce: 'pesan sekali lihat',
+            text: 'pesan teks',
+            image: 'gambar',
+            video: 'video',
+            audio: 'pesan suara',
+            sticker: 'stiker',
+            document: 'dokumen',
+            contact: 'kartu kontak',
+            poll: 'polling'
+        },
+        quotedMessage: '💬 Pesan',
+        queued: '⏳ {type} Anda belum bisa terkirim saat ini. Pengiriman akan dicoba lagi secara otomatis.',
+        failed: '❌ Gagal mengirim {type} ke pasangan Anda. Silakan coba lagi.',
+        viewOnceUnsupported: '❗ Pesan sekali lihat ini tidak dapat diteruskan ke pasangan Anda.',
+        viewOnceFailed: '👁️ [Media sekali lihat tidak dapat diteruskan]',
+        imageFailed: '📷 [Gambar tidak dapat diteruskan]',
+        videoFailed: '🎥 [Video tidak dapat diteruskan]',
+        audioFailed: '🎵 [Pesan suara tidak dapat diteruskan]',
+        stickerFailed: '🌟 [Stiker tidak dapat diteruskan]',
+        documentFailed: '📄 [Dokumen tidak dapat diteruskan]',
+        unsupported: '❗ Jenis pesan ini tidak dapat diteruskan ke pasangan Anda.',
+        contactReceived: '⚠️ Pasangan Anda membagikan kartu kontak. Detail kontak bisa mengungkap identitas asli, ' +
+            'jadi bagikan informasi Anda sendiri hanya jika Anda memercayai orang ini.',
+        contactSent: '⚠️ Kartu kontak terkirim. Ingat bahwa nomor telepon di kartu kontak bisa mengungkap siapa Anda.'
+    },
+
+    location: {
+        confirm: '📍 *Bagikan lokasi Anda?*\n\n' +
+            'Lokasi bisa mengungkap di mana Anda berada. ' +
+            'Ketik *.sendloc* untuk mengirimnya ke pasangan Anda atau *.sendloc cancel* untuk membatalkannya.\n\n' +
+            '_Permintaan ini berakhir dalam {minutes} menit._',
+        nonePending: '❌ Tidak ada lokasi yang menunggu untuk dikirim. Bagikan lokasi terlebih dahulu.',
+        discarded: '🗑️ Lokasi dibatalkan.',
+        chatEnded: '❌ Chat tujuan lokasi ini sudah berakhir.',
+        sent: '📍 Lokasi terkirim ke pasangan Anda.'
+    },
+
+    poll: {
+        voted: '📊 Pasangan Anda memilih di "{poll}": {options}',
+        unvoted: '📊 Pasangan Anda membatalkan pilihannya di "{poll}"'
+    },
+
+    queue: {
+        deliveryNote: '\n\n_[Pesan ini terkirim setelah ada gangguan koneksi]_',
+        delivered: '✅ Pesan Anda sudah terkirim.',
+        failed: '❌ Pesan Anda tidak dapat dikirim setelah beberapa kali percobaan.'
+    },
+
+    ads: {
+        addUsage: '❌ Format salah!\n\nFormat yang benar:\n.addad <type> <title> | <content> | <priority> | <days_active>\n\n' +
+            'Contoh:\n.addad start Selamat Datang | Selamat datang di bot chat anonymous! | 5 | 30\n\n' +
+            'Types yang tersedia: start, search, chat, end',
+        invalidType: '❌ Type tidak valid!\n\nType yang tersedia:\nstart, search, chat, end',
+        invalidPriority: '❌ Priority harus berupa angka antara 1-10',
+        invalidDays: '❌ days_active harus berupa angka positif',
+        added: '✅ Iklan berhasil ditambahkan!',
+        addFailed: '❌ Gagal menambahkan iklan',
+        addError: '❌ Terjadi kesalahan saat menambahkan iklan',
+        none: '❌ Tidak ada iklan',
+        list: '📢 *Daftar Iklan*\n\n{ads}',
+        listItem: 'ID: {id}\nType: {type}\nJudul: {title}\nAktif: {active}\nPrioritas: {priority}\nTayang: {shows}\nBerakhir: {expires}\n',
+        message: '*{title}*\n\n{content}\n\n_Ini adalah pesan promosi dari admin bot._',
+        defaultTitle: 'Iklan',
+        invalidId: '❌ Format ID iklan tidak valid',
+        notFound: '❌ Iklan tidak ditemukan',
+        deleted: '✅ Iklan "{title}" berhasil dihapus',
+        deleteError: '❌ Gagal menghapus iklan: {error}',
+        statsHeader: '📊 *Statistik Iklan*\n\n',
+        statsTotal: 'Total Iklan: {count}\n',
+        statsActive: 'Iklan Aktif: {count}\n',
+        statsImpressions: 'Total Tayangan: {count}\n\n',
+        statsTop: 'Iklan Terpopuler:\n',
+        statsTopItem: '{rank}. "{title}" (ID: {id}) - {count} kali tayang\n',
+        statsError: '❌ Gagal mengambil statistik iklan.'
+    },
+
+    moderation: {
+        noReports: '✅ Tidak ada laporan yang menunggu',
+        reportList: '🚩 *Laporan Menunggu ({count})*\n\n{reports}\n' +
+            'Gunakan *.viewreport <id>*, *.resolve <id> [catatan]* atau *.dismiss <id> [catatan]*.',
+        reportNotFound: '❌ Laporan tidak ditemukan',
+        banUsage: '❌ Cara pakai: .{command} <nomor> <durasi> <alasan>\n\n' +
+            'Durasi: 30m, 12h, 7d, 2w atau perm\n' +
+            'Contoh: .{command} 6281234567890 1d spam',
+        banned: '✅ {user} diblokir sampai {expiry}',
+        muted: '✅ {user} dibisukan sampai {expiry}',
+        unbanUsage: '❌ Cara pakai: .unban <nomor>',
+        banLifted: '✅ Blokir Anda sudah dicabut. Gunakan *.search* untuk mencari pasangan.',
+        unbanned: '✅ Blokir {user} dicabut',
+        notBanned: '❌ Pengguna itu tidak sedang diblokir atau dibisukan',
+        noBans: '✅ Tidak ada blokir aktif',
+        banList: '⛔ *Blokir Aktif ({count})*\n\n{bans}',
+        banListItem: 'Pengguna: {user}\nJenis: {type}\nAlasan: {reason}\nBerakhir: {expiry}\n',
+        wordAdded: '✅ "{word}" ditambahkan ke kata terlarang',
+        wordExists: '❌ "{word}" sudah menjadi kata terlarang',
+        wordRemoved: '✅ "{word}" dihapus dari kata terlarang',
+        wordMissing: '❌ "{word}" tidak ada dalam daftar',
+        wordList: '🚫 *Kata Terlarang ({count})*\n\n{words}',
+        noWords: '✅ Tidak ada kata terlarang',
+        unsuspendUsage: '❌ Cara pakai: .unsuspend <nomor>',
+        unsuspended: '✅ {user} bisa mencari lagi',
+        notSuspended: '❌ Pengguna itu tidak sedang ditangguhkan',
+        invalidReportId: '❌ Format ID laporan tidak valid',
+        pendingReportNotFound: '❌ Laporan yang menunggu tidak ditemukan',
+        reportResolved: '✅ Laporan {id} diselesaikan',
+        reportDismissed: '✅ Laporan {id} diabaikan',
+        closeReportError: '❌ Gagal menutup laporan: {error}',
+        evidenceExpired: '❌ Bukti media sudah kedaluwarsa.',
+        evidenceCaption: '🚩 Bukti untuk laporan {id}',
+        reportSummary: 'ID: {id}\nDilaporkan: {reported}\nAlasan: {reason}\nTanggal: {date}\n',
+        reportDetail: '🚩 *Laporan {id}*\n\n' +
+            'Status: {status}\nPelapor: {reporter}\nDilaporkan: {reported}\nAlasan: {reason}\nTanggal: {date}\n',
+        reportQuoted: '\nPesan yang dikutip:\n"{text}"\n',
+        reportMedia: '\nBukti media: {type}\n',
+        reportNote: '\nCatatan: {note}\n'
+    },
+
+    help: {
+        header: '🤖 *{name}*\n\nNgobrol dengan orang acak secara anonim!\n\n*Daftar Perintah:*\n',
+        adminHeader: '\n\n*Perintah Admin:*\n',
+        footer: '\n\nMulai ngobrol sekarang! Ketik *{command}* untuk memulai.',
+        usage: '❌ Cara pakai: *{usage}*\n{help}',
+        unknownCommand: '❓ Perintah tidak ditemukan. Ketik *{command}* untuk melihat daftar perintah.'
+    },
+
+    commands: {
+        search: 'Cari pasangan chat, bisa dengan minat yang sama (mis. music,anime)',
+        next: 'Cari pasangan baru',
+        stop: 'Akhiri chat',
+        status: 'Lihat posisi Anda dalam antrean',
+        block: 'Akhiri chat dan jangan pernah bertemu pasangan ini lagi',
+        allowmedia: 'Setujui berbagi foto, video, dan stiker',
+        sendloc: 'Konfirmasi pengiriman lokasi yang dibagikan',
+        presence: 'Tampilkan atau sembunyikan status mengetik ke pasangan',
+        receipts: 'Tampilkan atau sembunyikan tanda dibaca',
+        report: 'Laporkan pasangan saat ini atau sebelumnya',
+        sendpp: 'Bagikan foto profil Anda',
+        profile: 'Atur profil dan preferensi pasangan',
+        menu: 'Tampilkan pesan bantuan ini',
+        addad: 'Tambah iklan (kirim sebagai caption gambar atau video untuk melampirkannya)',
+        listads: 'Daftar iklan',
+        delad: 'Hapus iklan',
+        adstats: 'Tampilkan statistik iklan',
+        reports: 'Daftar laporan yang menunggu',
+        viewreport: 'Tampilkan laporan beserta buktinya',
+        resolve: 'Tutup laporan sebagai selesai',
+        dismiss: 'Tutup laporan sebagai diabaikan',
+        unsuspend: 'Izinkan pengguna yang ditangguhkan mencari lagi',
+        ban: 'Blokir pengguna (durasi: 30m, 12h, 7d, 2w atau perm)',
+        mute: 'Hentikan pesan pengguna agar tidak sampai ke pasangannya',
+        unban: 'Cabut blokir atau bisu',
+        banlist: 'Daftar blokir dan bisu yang aktif',
+        addword: 'Tambah kata terlarang',
+        delword: 'Hapus kata terlarang',
+        wordlist: 'Daftar kata terlarang',
+        template: 'Daftar teks yang bisa diubah, atau pratinjau salah satunya',
+        settemplate: 'Ganti teks yang bisa diubah; kata dalam kurung kurawal diisi oleh bot',
+        resettemplate: 'Kembali ke teks bawaan',
+        lang: 'Pilih bahasa pesan bot'
+    },
+
+    language: {
+        current: '🌐 Bahasa: *Indonesia*\n\nGunakan *.lang {locales}* untuk menggantinya.',
+        changed: '✅ Bot sekarang akan berbicara dengan Anda dalam Bahasa Indonesia.'
+    },
+
+    templates: {
+        custom: 'kustom',
+        default: 'bawaan',
+        list: '📝 *Teks yang Bisa Diubah*\n\n{templates}\n\n' +
+            'Gunakan *.template <nama> [bahasa]* untuk melihat pratinjau, *.settemplate <nama> <bahasa> <teks>* untuk mengubahnya ' +
+            'dan *.resettemplate <nama> [bahasa]* untuk kembali ke teks bawaan.',
+        listItem: '*{name}* - {states}',
+        preview: '📝 *Template {name}* ({locale}, {source})\n\nPlaceholder: {placeholders}\n\n{text}\n\n' +
+            'Yang dilihat pengguna saat ini:',
+        unknownPlaceholder: '❌ Teks ini tidak bisa memakai {placeholders}. Placeholder yang tersedia: {allowed}',
+        saved: '✅ Template {name} ({locale}) disimpan. Gunakan *.template {name} {locale}* untuk melihat pratinjaunya.',
+        saveError: '❌ Gagal menyimpan template: {error}',
+        reset: '✅ Template {name} kembali ke teks bawaan.',
+        notCustom: '❌ Template {name} sudah memakai teks bawaan.'
+    },
+
+    ban: {
+        permanent: 'tidak pernah (permanen)',
+        bannedNotice: '⛔ Anda telah diblokir.\n\nAlasan: {reason}\nBerakhir: {expiry}',
+        mutedNotice: '⛔ Anda telah dibisukan.\n\nAlasan: {reason}\nBerakhir: {expiry}'
+    },
+
+    filter: {
+        rules: {
+            phone: 'nomor telepon',
+            url: 'tautan',
+            handle: 'akun media sosial',
+            words: 'kata terlarang'
+        },
+        masks: {
+            phone: '[nomor disembunyikan]',
+            handle: '@[disembunyikan]'
+        },
+        notice: '🚫 Pesan Anda tidak terkirim karena mengandung {reasons}. Jaga agar chat tetap anonim.'
+    },
+
+    rateLimit: {
+        warning: '⚠️ Anda mengirim terlalu cepat. Pelan-pelan atau Anda akan dibisukan sementara.',
+        muted: '⏳ Anda dibisukan selama {seconds} detik karena membanjiri pesan.'
+    },
+
+    profile: {
+        any: 'Bebas',
+        genders: { m: 'Laki-laki', f: 'Perempuan' },
+        summary: '👤 *Profil Anda*\n\n' +
+            'Gender: {gender}\nUmur: {age}\nBahasa: {lang}\n\n' +
+            '🎯 *Preferensi Pasangan*\n\n' +
+            'Gender: {prefGender}\nUmur: {prefAge}\nBahasa: {prefLang}\n\n' +
+            'Ketik *.profile help* untuk melihat cara mengubahnya.',
+        usage: '👤 *Perintah profil*\n\n' +
+            '*.profile* - Lihat profil dan preferensi Anda\n' +
+            '*.profile set gender m|f*\n' +
+            '*.profile set age 21*\n' +
+            '*.profile set lang id*\n' +
+            '*.profile pref gender m|f|any* - Gender pasangan\n' +
+            '*.profile pref age 18-25|any* - Rentang umur pasangan\n' +
+            '*.profile pref lang en|any* - Bahasa pasangan\n' +
+            '*.profile clear* - Hapus profil dan preferensi Anda',
+        invalidGender: '❌ Gender harus *m* atau *f*.',
+        invalidAge: '❌ Umur harus berupa angka antara {min} dan {max}.',
+        invalidLang: '❌ Bahasa harus berupa kode 2-3 huruf, mis. *id* atau *en*.',
+        invalidPrefGender: '❌ Gender pasangan harus *m*, *f* atau *any*.',
+        invalidPrefAge: '❌ Rentang umur harus seperti *18-25* (antara {min} dan {max}) atau *any*.',
+        invalidPrefLang: '❌ Bahasa pasangan harus berupa kode 2-3 huruf atau *any*.',
+        cleared: '✅ Profil dan preferensi Anda sudah dihapus.',
+        updated: '✅ Profil diperbarui.\n\n{profile}'
+    }
+};
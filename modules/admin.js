@@ -1,11 +1,12 @@
 import config from '../config.js';
+import { translate } from './i18n.js';
 
 export default async (bot) => {
     try {
         // Get admin number from config file
         const adminNumber = config.bot.owner;  
         // Send message to admin number
-        await bot.sendMessage(adminNumber, { text: 'Bot is online!' });
+        await bot.sendMessage(adminNumber, { text: await translate(adminNumber, 'common.online') });
     } catch (error) {
         console.error('[Admin] Error sending message to admin:', error);
     }
@@ -57,4 +58,17 @@ export function checkIsAdmin(bot, sender) {
         console.error("[Error] Failed to check admin status:", error);
         return false;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Turns a phone number typed by the admin into a WhatsApp user ID
+ * @param {string} number - Number such as 6281234567890 or +62 812-3456-7890
+ * @returns {string|null} - The user's WhatsApp ID, or null if invalid
+ */
+export function toUserJid(number) {
+    if (!number) return null;
+    if (number.includes('@')) return number;
+
+    const digits = number.replace(/\D/g, '');
+    return digits.length >= 6 ? `${digits}@s.whatsapp.net` : null;
+}
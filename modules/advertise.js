@@ -1,6 +1,7 @@
 // modules/advertise.js
 import database from '../database.js';
-import { MongoClient, ObjectId } from 'mongodb'; // Tambahkan import ObjectId
+import { loadMedia, deleteMedia } from './mediastore.js';
+import { t, getLocale } from './i18n.js';
 
 export const ADS_COLLECTION = 'advertisements';
 
@@ -65,8 +66,18 @@ class AdvertiseManager {
                 return false;
             }
 
-            const message = this.formatAdMessage(ad);
-            await bot.sendMessage(recipient, { text: message });
+            const message = this.formatAdMessage(ad, await getLocale(recipient));
+
+            // Iklan media disimpan di media store, yang tersimpan di iklan hanya ID-nya
+            const buffer = ad.media?.mediaId ? await loadMedia(ad.media.mediaId) : null;
+
+            if (buffer && ad.media.mediaType === 'image') {
+                await bot.sendMessage(recipient, { image: buffer, caption: message });
+            } else if (buffer && ad.media.mediaType === 'video') {
+                await bot.sendMessage(recipient, { video: buffer, caption: message, mimetype: ad.media.mimetype });
+            } else {
+                await bot.sendMessage(recipient, { text: message });
+            }
             return true;
         } catch (error) {
             console.error('[Advertise] Error sending advertisement:', error);
@@ -74,11 +85,14 @@ class AdvertiseManager {
         }
     }
 
-    static formatAdMessage(ad) {
-        return `*${ad.title || 'Advertisement'}*\n\n${ad.content}\n\n_This is a promotional message from the bot administrator._`;
+    static formatAdMessage(ad, locale = 'en') {
+        return t(locale, 'ads.message', {
+            title: ad.title || t(locale, 'ads.defaultTitle'),
+            content: ad.content
+        });
     }
 
-    static async addAdvertisement(type, title, content, priority = 1, duration = 30) {
+    static async addAdvertisement(type, title, content, priority = 1, duration = 30, media = null) {
         try {
             const now = new Date();
             const endDate = new Date();
@@ -96,6 +110,10 @@ class AdvertiseManager {
                 createdAt: now
             };
 
+            if (media) {
+                ad.media = media;
+            }
+
             // Gunakan database.insertOne langsung
             await database.insertOne(ADS_COLLECTION, ad);
             console.log('[Advertise] New advertisement added:', title);
@@ -117,15 +135,15 @@ class AdvertiseManager {
         }
     }
 
-    static async getStats() {
+    static async getStats(locale = 'en') {
         try {
             const ads = await database.find(ADS_COLLECTION, {});
             
             if (!ads || ads.length === 0) {
-                return "No advertisements found.";
+                return t(locale, 'ads.none');
             }
 
-            let stats = "📊 *Advertisement Statistics*\n\n";
+            let stats = t(locale, 'ads.statsHeader');
             
             // Group ads by type
             const adsByType = {};
@@ -142,7 +160,7 @@ class AdvertiseManager {
                 const now = new Date();
                 
                 stats += `*${type.toUpperCase()}*\n`;
-                stats += `Total Ads: ${typeAds.length}\n`;
+                stats += t(locale, 'ads.statsTotal', { count: typeAds.length });
                 
                 const activeAds = typeAds.filter(ad => {
                     if (!ad.active) return false;
@@ -150,11 +168,11 @@ class AdvertiseManager {
                     return new Date(ad.endDate) >= now;
                 });
                 
-                stats += `Active Ads: ${activeAds.length}\n`;
+                stats += t(locale, 'ads.statsActive', { count: activeAds.length });
                 
                 // Calculate total impressions
                 const totalImpressions = typeAds.reduce((sum, ad) => sum + (ad.showCount || 0), 0);
-                stats += `Total Impressions: ${totalImpressions}\n\n`;
+                stats += t(locale, 'ads.statsImpressions', { count: totalImpressions });
 
                 // Show top 3 most shown ads
                 const topAds = typeAds
@@ -162,10 +180,15 @@ class AdvertiseManager {
                     .slice(0, 3);
 
                 if (topAds.length > 0) {
-                    stats += "Top Performing Ads:\n";
+                    stats += t(locale, 'ads.statsTop');
                     topAds.forEach((ad, index) => {
                         const idStr = ad._id.toString().slice(-6); // Last 6 chars of ID
-                        stats += `${index + 1}. "${ad.title}" (ID: ${idStr}) - ${ad.showCount || 0} shows\n`;
+                        stats += t(locale, 'ads.statsTopItem', {
+                            rank: index + 1,
+                            title: ad.title,
+                            id: idStr,
+                            count: ad.showCount || 0
+                        });
                     });
                 }
                 stats += "\n";
@@ -174,40 +197,44 @@ class AdvertiseManager {
             return stats;
         } catch (error) {
             console.error('[Advertise] Error getting statistics:', error);
-            return "Error retrieving advertisement statistics.";
+            return t(locale, 'ads.statsError');
         }
     }
 
     static async deleteAdvertisement(adId) {
         try {
             // Validasi ID
-            let objectId;
-            try {
-                objectId = new ObjectId(adId);
-            } catch (error) {
-                console.error('[Advertise] Invalid advertisement ID:', error);
-                return { success: false, message: 'Invalid advertisement ID format' };
+            const objectId = database.toId(adId);
+            if (!objectId) {
+                console.error(`[Advertise] Invalid advertisement ID: ${adId}`);
+                return { success: false, messageKey: 'ads.invalidId' };
             }
 
             // Cari iklan terlebih dahulu
             const ad = await database.findOne(ADS_COLLECTION, { _id: objectId });
             
             if (!ad) {
-                return { success: false, message: 'Advertisement not found' };
+                return { success: false, messageKey: 'ads.notFound' };
             }
 
             // Hapus iklan
             await database.deleteOne(ADS_COLLECTION, { _id: objectId });
+
+            if (ad.media?.mediaId) {
+                await deleteMedia(ad.media.mediaId);
+            }
             
             return {
                 success: true,
-                message: `Advertisement "${ad.title}" deleted successfully`
+                messageKey: 'ads.deleted',
+                params: { title: ad.title }
             };
         } catch (error) {
             console.error('[Advertise] Error deleting advertisement:', error);
             return { 
                 success: false, 
-                message: `Error deleting advertisement: ${error.message}` 
+                messageKey: 'ads.deleteError',
+                params: { error: error.message }
             };
         }
     }
@@ -0,0 +1,219 @@
+/**
+ * Auth State Module
+ * Keeps the WhatsApp credentials and signal keys in the database instead
+ * of the session folder, so a rebuilt container stays logged in.
+ * A lock document with a heartbeat stops two replicas from using the same
+ * credentials at once.
+ */
+import baileys, { initAuthCreds, BufferJSON } from "@whiskeysockets/baileys";
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import database from '../database.js';
+import config from '../config.js';
+
+const { proto } = baileys;
+
+export const AUTH_COLLECTION = 'auth_state';
+
+const authConfig = config.auth || {};
+const SESSION_ID = authConfig.sessionId || 'default';
+const LOCK_TTL = authConfig.lockTtl ?? 60 * 1000;
+const HEARTBEAT_INTERVAL = authConfig.heartbeatInterval ?? 20 * 1000;
+
+// Identifies this process as the lock owner
+const INSTANCE_ID = `${hostname()}-${process.pid}-${randomBytes(3).toString('hex')}`;
+
+let heartbeat = null;
+
+/**
+ * Document key of a signal key, named like the files of useMultiFileAuthState
+ * so a session folder can be copied over one file per document
+ */
+function keyName(type, id) {
+    return `${type}-${id}`.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function serialize(value) {
+    return JSON.stringify(value, BufferJSON.replacer);
+}
+
+function deserialize(text) {
+    return text ? JSON.parse(text, BufferJSON.reviver) : null;
+}
+
+async function readValue(key) {
+    const doc = await database.findOne(AUTH_COLLECTION, { session: SESSION_ID, key });
+    return deserialize(doc?.value);
+}
+
+async function writeValue(key, value) {
+    await database.updateOne(AUTH_COLLECTION, { session: SESSION_ID, key }, {
+        $set: { value: serialize(value), updatedAt: new Date() }
+    }, { upsert: true });
+}
+
+/**
+ * Copy an existing session folder into the database
+ * Only runs while the database has no credentials; the folder is left as it is.
+ * @param {String} sessionPath - Folder written by useMultiFileAuthState
+ * @returns {Number} - The number of files copied
+ */
+async function migrateSessionFolder(sessionPath) {
+    let files;
+    try {
+        files = (await readdir(sessionPath)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+    if (!files.includes('creds.json')) return 0;
+
+    for (const file of files) {
+        const value = await readFile(join(sessionPath, file), 'utf8');
+        // The files already hold BufferJSON text, so they are stored as they are
+        await database.updateOne(AUTH_COLLECTION, { session: SESSION_ID, key: file.slice(0, -'.json'.length) }, {
+            $setOnInsert: { value, updatedAt: new Date() }
+        }, { upsert: true });
+    }
+
+    console.log(`[Auth] Migrated ${files.length} session files from ${sessionPath}`);
+    return files.length;
+}
+
+/**
+ * Take the session lock, or renew it if this process already holds it
+ * @returns {Boolean} - True if this process holds the lock
+ */
+async function acquireLock() {
+    const now = new Date();
+    const lock = await database.findOne(AUTH_COLLECTION, { session: SESSION_ID, key: 'lock' });
+    if (lock && lock.owner !== INSTANCE_ID && lock.heartbeatAt > new Date(now.getTime() - LOCK_TTL)) {
+        return false;
+    }
+
+    try {
+        // A lock held by another live replica matches neither condition, so the
+        // upsert runs into the unique index instead of taking it over
+        await database.findOneAndUpdate(AUTH_COLLECTION, {
+            session: SESSION_ID,
+            key: 'lock',
+            $or: [
+                { owner: INSTANCE_ID },
+                { heartbeatAt: { $lt: new Date(now.getTime() - LOCK_TTL) } }
+            ]
+        }, {
+            $set: { owner: INSTANCE_ID, heartbeatAt: now },
+            $setOnInsert: { acquiredAt: now }
+        }, { upsert: true });
+        return true;
+    } catch (error) {
+        // Another replica took the lock between the check and the update
+        const current = await database.findOne(AUTH_COLLECTION, { session: SESSION_ID, key: 'lock' });
+        if (current && current.owner !== INSTANCE_ID) return false;
+        throw error;
+    }
+}
+
+/**
+ * Renew the lock periodically; onLost runs if another replica took it over
+ */
+function startHeartbeat(onLost) {
+    clearInterval(heartbeat);
+    heartbeat = setInterval(async () => {
+        try {
+            const result = await database.updateOne(AUTH_COLLECTION, {
+                session: SESSION_ID,
+                key: 'lock',
+                owner: INSTANCE_ID
+            }, {
+                $set: { heartbeatAt: new Date() }
+            });
+
+            if (result.matchedCount === 0) {
+                console.error('[Auth] Session lock was taken over by another instance');
+                clearInterval(heartbeat);
+                heartbeat = null;
+                await onLost();
+            }
+        } catch (error) {
+            console.error('[Auth] Failed to renew session lock:', error);
+        }
+    }, HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Give the lock up, e.g. on shutdown, so another replica can start right away
+ */
+export async function releaseAuthLock() {
+    clearInterval(heartbeat);
+    heartbeat = null;
+    await database.deleteOne(AUTH_COLLECTION, { session: SESSION_ID, key: 'lock', owner: INSTANCE_ID });
+}
+
+/**
+ * Auth state for makeWASocket backed by the database
+ * Throws when another instance holds the session, so only one replica
+ * is ever logged in with these credentials.
+ * @param {Object} options
+ * @param {String} options.sessionPath - Session folder to migrate on first start
+ * @param {Function} options.onLockLost - Called when another instance takes the session over
+ * @returns {Object} - { state, saveCreds }
+ */
+export async function useDatabaseAuthState({ sessionPath = config.bot?.sessionPath, onLockLost = async () => {} } = {}) {
+    if (!await acquireLock()) {
+        throw new Error(`Session "${SESSION_ID}" is in use by another instance`);
+    }
+    startHeartbeat(onLockLost);
+
+    let creds = await readValue('creds');
+    if (!creds && sessionPath && await migrateSessionFolder(sessionPath)) {
+        creds = await readValue('creds');
+    }
+    if (!creds) {
+        creds = initAuthCreds();
+        await writeValue('creds', creds);
+    }
+
+    const state = {
+        creds,
+        keys: {
+            get: async (type, ids) => {
+                const docs = await database.find(AUTH_COLLECTION, {
+                    session: SESSION_ID,
+                    key: { $in: ids.map(id => keyName(type, id)) }
+                });
+                const values = new Map(docs.map(doc => [doc.key, doc.value]));
+
+                const data = {};
+                for (const id of ids) {
+                    let value = deserialize(values.get(keyName(type, id)));
+                    if (type === 'app-state-sync-key' && value) {
+                        value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                    }
+                    data[id] = value;
+                }
+                return data;
+            },
+            set: async (data) => {
+                for (const [type, entries] of Object.entries(data)) {
+                    for (const [id, value] of Object.entries(entries)) {
+                        if (value) {
+                            await writeValue(keyName(type, id), value);
+                        } else {
+                            await database.deleteOne(AUTH_COLLECTION, { session: SESSION_ID, key: keyName(type, id) });
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    return {
+        state,
+        saveCreds: async () => {
+            await writeValue('creds', state.creds);
+        }
+    };
+}
@@ -0,0 +1,120 @@
+// modules/ban.js
+import database from '../database.js';
+import { t } from './i18n.js';
+
+export const BANS_COLLECTION = 'bans';
+
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const PERMANENT = ['perm', 'permanent', 'forever'];
+
+class BanManager {
+    /**
+     * Parse a duration such as 30m, 12h, 7d, 2w or perm
+     * @param {String} value - The duration text
+     * @returns {Number|null|undefined} - Milliseconds, null for permanent, undefined if invalid
+     */
+    static parseDuration(value) {
+        const text = (value || '').toLowerCase();
+        if (PERMANENT.includes(text)) return null;
+
+        const match = /^(\d+)([mhdw])$/.exec(text);
+        if (!match) return undefined;
+
+        const amount = parseInt(match[1]);
+        return amount > 0 ? amount * DURATION_UNITS[match[2]] : undefined;
+    }
+
+    static formatExpiry(ban, locale = 'en') {
+        return ban.expiresAt ? new Date(ban.expiresAt).toLocaleString(locale) : t(locale, 'ban.permanent');
+    }
+
+    /**
+     * Ban or mute a user, replacing an existing restriction of the same type
+     * @param {String} userId - The user's WhatsApp ID
+     * @param {String} type - 'ban' blocks search and chat, 'mute' only blocks relaying
+     * @param {Number|null} duration - Milliseconds, or null for permanent
+     * @param {String} reason - Shown to the user
+     * @param {String} by - The admin who issued it
+     */
+    static async addBan(userId, type, duration, reason, by) {
+        try {
+            const now = new Date();
+            const ban = {
+                userId,
+                type,
+                reason,
+                by,
+                createdAt: now,
+                expiresAt: duration ? new Date(now.getTime() + duration) : null
+            };
+
+            await database.updateOne(BANS_COLLECTION, { userId, type }, { $set: ban }, { upsert: true });
+            console.log(`[Ban] ${type} applied to ${userId} until ${this.formatExpiry(ban)}`);
+            return ban;
+        } catch (error) {
+            console.error('[Ban] Error adding ban:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Lift every ban and mute on a user
+     * @returns {Number} - How many restrictions were removed
+     */
+    static async removeBans(userId) {
+        try {
+            const result = await database.deleteMany(BANS_COLLECTION, { userId });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('[Ban] Error removing ban:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the active restriction of a user
+     * The TTL index removes expired bans lazily, so expiry is checked here too.
+     * @param {String} userId - The user's WhatsApp ID
+     * @param {String[]} types - Restriction types to look for
+     * @returns {Object|null} - The active ban document
+     */
+    static async getActiveBan(userId, types = ['ban']) {
+        return await database.findOne(BANS_COLLECTION, {
+            userId,
+            type: { $in: types },
+            $or: [
+                { expiresAt: null },
+                { expiresAt: { $gt: new Date() } }
+            ]
+        });
+    }
+
+    static async listActiveBans() {
+        try {
+            return await database.find(BANS_COLLECTION, {
+                $or: [
+                    { expiresAt: null },
+                    { expiresAt: { $gt: new Date() } }
+                ]
+            }, { sort: { createdAt: -1 } });
+        } catch (error) {
+            console.error('[Ban] Error listing bans:', error);
+            return [];
+        }
+    }
+
+    static formatBanNotice(ban, locale = 'en') {
+        return t(locale, ban.type === 'mute' ? 'ban.mutedNotice' : 'ban.bannedNotice', {
+            reason: ban.reason || '-',
+            expiry: this.formatExpiry(ban, locale)
+        });
+    }
+}
+
+export default BanManager;
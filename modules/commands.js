@@ -0,0 +1,200 @@
+/**
+ * Command Registry Module
+ * Every command is declared once with its name, aliases, arguments,
+ * permission and help text. Parsing, permission checks, argument
+ * validation and the generated help all come from these declarations.
+ */
+import { isJidUser } from "@whiskeysockets/baileys";
+import config from '../config.js';
+import { checkIsAdmin } from './admin.js';
+import { checkRateLimit } from './ratelimit.js';
+import { t, getLocale, translate } from './i18n.js';
+
+// Commands are accepted with the configured prefix and with '/'
+const PREFIXES = [...new Set([config.bot?.prefix || '.', '/'])];
+const DISPLAY_PREFIX = PREFIXES[0];
+
+const commands = new Map();
+const aliases = new Map();
+
+/**
+ * Register a command
+ * @param {Object} definition - The command declaration
+ * @param {String} definition.name - Name without prefix, e.g. 'search'
+ * @param {String[]} definition.aliases - Other names that run the same command
+ * @param {Object[]} definition.args - { name, required, rest, choices } per argument;
+ *   `rest` takes all remaining words, `choices` limits the value to a lowercase list
+ * @param {String} definition.usage - Overrides the usage generated from `args`
+ * @param {Boolean} definition.adminOnly - Only admins may run and see the command
+ * @param {String} definition.help - Catalog key of the line shown in the help
+ * @param {Function} definition.handler - (bot, msg, sender, args, text) where text is
+ *   everything after the command word with its original spacing
+ */
+export function registerCommand(definition) {
+    const command = {
+        aliases: [],
+        args: [],
+        adminOnly: false,
+        ...definition
+    };
+
+    for (const name of [command.name, ...command.aliases]) {
+        if (commands.has(name) || aliases.has(name)) {
+            throw new Error(`Command "${name}" is already registered`);
+        }
+    }
+
+    commands.set(command.name, command);
+    for (const alias of command.aliases) {
+        aliases.set(alias, command.name);
+    }
+    return command;
+}
+
+export function findCommand(name) {
+    return commands.get(name) || commands.get(aliases.get(name)) || null;
+}
+
+/**
+ * Split a message body into a command word and its arguments
+ * @param {String} body - The message text
+ * @returns {Object|null} - { name, args, text }, or null if the body is not a command
+ */
+export function parseCommand(body) {
+    const trimmed = (body || '').trim();
+    const prefix = PREFIXES.find(candidate => trimmed.startsWith(candidate));
+    if (!prefix) return null;
+
+    const [word, ...args] = trimmed.slice(prefix.length).split(/\s+/);
+    if (!word) return null;
+
+    return {
+        name: word.toLowerCase(),
+        args,
+        text: trimmed.slice(prefix.length + word.length).trim()
+    };
+}
+
+export function formatUsage(command) {
+    const usage = command.usage ?? command.args.map(arg => {
+        const label = arg.choices ? arg.choices.join('|') : arg.name;
+        const rest = arg.rest ? '...' : '';
+        return arg.required ? `<${label}${rest}>` : `[${label}${rest}]`;
+    }).join(' ');
+
+    return `${DISPLAY_PREFIX}${command.name}${usage ? ` ${usage}` : ''}`;
+}
+
+/**
+ * Check the arguments against the declaration
+ * @returns {String[]|null} - The arguments with choices lowercased, or null if invalid
+ */
+function validateArgs(command, args) {
+    const values = [...args];
+
+    for (const [index, arg] of command.args.entries()) {
+        const value = values[index];
+
+        if (value === undefined) {
+            if (arg.required) return null;
+            continue;
+        }
+
+        if (arg.choices) {
+            values[index] = value.toLowerCase();
+            if (!arg.choices.includes(values[index])) return null;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Build the command list shown by .menu and .help
+ * @param {String} locale - The reader's language
+ * @param {Boolean} isAdmin - Include admin-only commands
+ */
+export function formatHelp(locale, isAdmin = false) {
+    const line = command => `*${formatUsage(command)}* - ${t(locale, command.help)}`;
+    const visible = [...commands.values()].filter(command => command.help);
+
+    let text = t(locale, 'help.header', { name: config.bot?.name || 'Anonymous Chat Bot' }) +
+        visible.filter(command => !command.adminOnly).map(line).join('\n');
+
+    if (isAdmin) {
+        text += t(locale, 'help.adminHeader') +
+            visible.filter(command => command.adminOnly).map(line).join('\n');
+    }
+
+    return text + t(locale, 'help.footer', { command: `${DISPLAY_PREFIX}search` });
+}
+
+/**
+ * Run the command in a message body
+ * Admin commands sent by other users are answered like unknown commands.
+ * Only commands that get to run are charged against the command rate limit.
+ * Unknown commands are only answered in 1:1 chats, and not at all when
+ * replyUnknown is false, so the caller can pass the text on instead.
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String} body - The message text
+ * @param {Object} options - { replyUnknown }
+ * @returns {Boolean} - True if a command handled the message or it was answered as unknown
+ */
+export async function runCommand(bot, msg, sender, body, { replyUnknown = true } = {}) {
+    const parsed = parseCommand(body);
+    if (!parsed) return false;
+
+    const command = findCommand(parsed.name);
+
+    // Text such as "..." is not a mistyped command, so it gets no reply
+    if (!command && !/^[a-z]\w*$/.test(parsed.name)) return false;
+
+    const allowed = command && (!command.adminOnly || checkIsAdmin(bot, sender));
+
+    if (!allowed) {
+        if (command) console.log(`[Command] ${sender} is not allowed to run ${command.name}`);
+        if (replyUnknown && isJidUser(msg.key.remoteJid)) {
+            await bot.sendMessage(msg.key.remoteJid, {
+                text: await translate(msg.key.remoteJid, 'help.unknownCommand', { command: `${DISPLAY_PREFIX}help` })
+            });
+            // Answered, so the text is not taken as a chat message as well
+            return true;
+        }
+        return false;
+    }
+
+    // Only a registered command spends command tokens; chat text such as "..." never does
+    const rateLimit = checkRateLimit(sender, 'command');
+    if (!rateLimit.allowed) {
+        if (rateLimit.notice) {
+            await bot.sendMessage(msg.key.remoteJid, {
+                text: await translate(msg.key.remoteJid, rateLimit.notice, rateLimit.params)
+            });
+        }
+        return true;
+    }
+
+    const args = validateArgs(command, parsed.args);
+    if (!args) {
+        const locale = await getLocale(msg.key.remoteJid);
+        await bot.sendMessage(msg.key.remoteJid, {
+            text: t(locale, 'help.usage', {
+                usage: formatUsage(command),
+                help: command.help ? t(locale, command.help) : ''
+            }).trim()
+        });
+        return true;
+    }
+
+    try {
+        await command.handler(bot, msg, sender, args, parsed.text);
+    } catch (error) {
+        console.error(`[Error] Failed to process command ${command.name}:`, error);
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'common.error')
+        });
+    }
+    return true;
+}
@@ -0,0 +1,171 @@
+/**
+ * Content Filter Module
+ * Keeps relayed text anonymous: masks phone numbers, defangs links and
+ * censors the admin-managed banned word list
+ */
+import database from '../database.js';
+import config from '../config.js';
+import BanManager from './ban.js';
+import { t } from './i18n.js';
+
+export const BANNED_WORDS_COLLECTION = 'banned_words';
+
+const COLLECTION_NAME = config.anonymousChat?.collection || 'anonymous_chat';
+const filterConfig = config.filter || {};
+
+// International (+62 812 3456 7890) or local (0812-3456-7890) numbers, or an unbroken
+// run of 10+ digits; dates and amounts such as 15-01-2024 or 10.000.000 do not qualify
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?\d{2,4}(?:[\s.-]?\d{3,4}){2,3}|0\d{2,4}(?:[\s.-]?\d{3,4}){2,3}|\d{10,15})(?!\d)/g;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|id|me|io|co|xyz|link|ly|gg|app|site|info|biz)\b(?:\/\S*)?/gi;
+const HANDLE_PATTERN = /(^|\s)@[a-z0-9._]{3,30}\b/gi;
+
+// Banned words are cached in memory and reloaded whenever an admin edits them
+let bannedWords = null;
+
+async function getBannedWords() {
+    if (!bannedWords) {
+        const docs = await database.find(BANNED_WORDS_COLLECTION, {});
+        bannedWords = docs.map(doc => doc.word);
+    }
+    return bannedWords;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function defang(url) {
+    return url.replace(/^http/i, 'hxxp').replace(/\./g, '[.]');
+}
+
+/**
+ * Build the rule list: each rule has a pattern and how to mask a match
+ * @param {String} locale - Language of the masks, i.e. the reader's
+ */
+async function getRules(locale) {
+    const rules = [
+        { name: 'phone', pattern: PHONE_PATTERN, mask: () => t(locale, 'filter.masks.phone') },
+        { name: 'url', pattern: URL_PATTERN, mask: defang },
+        { name: 'handle', pattern: HANDLE_PATTERN, mask: (match, lead) => lead + t(locale, 'filter.masks.handle') }
+    ];
+
+    const words = await getBannedWords();
+    if (words.length) {
+        rules.push({
+            name: 'words',
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+            mask: (match) => '*'.repeat(match.length)
+        });
+    }
+
+    return rules.filter(rule => (filterConfig[rule.name]?.action || 'off') !== 'off');
+}
+
+/**
+ * Run text through the filter pipeline
+ * @param {String} text - Message text or caption
+ * @param {Object} options - { locale, except } where except lists rule names to skip
+ * @returns {Object} - { text, blocked, strike, matched } where matched lists the rule names that fired
+ */
+export async function applyFilters(text, { locale = 'en', except = [] } = {}) {
+    const result = { text, blocked: false, strike: false, matched: [] };
+    if (!text) return result;
+
+    for (const rule of await getRules(locale)) {
+        if (except.includes(rule.name)) continue;
+        rule.pattern.lastIndex = 0;
+        if (!rule.pattern.test(result.text)) continue;
+
+        const action = filterConfig[rule.name].action;
+        result.matched.push(rule.name);
+
+        if (action === 'mask') {
+            rule.pattern.lastIndex = 0;
+            result.text = result.text.replace(rule.pattern, rule.mask);
+        } else if (action === 'drop') {
+            result.blocked = true;
+        } else if (action === 'strike') {
+            result.blocked = true;
+            result.strike = true;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Run every text of one message through the filter pipeline
+ * Polls and contact cards carry several texts; the message is blocked if any of them is.
+ * @param {Array} texts - Texts in message order, each a string or { text, except }
+ * @param {Object} options - { locale }
+ * @returns {Object} - { texts, blocked, strike, matched } with texts filtered in the same order
+ */
+export async function applyFiltersToEach(texts, { locale } = {}) {
+    const result = { texts: [], blocked: false, strike: false, matched: [] };
+
+    for (const entry of texts) {
+        const { text, except } = typeof entry === 'object' && entry !== null ? entry : { text: entry };
+        const filtered = await applyFilters(text, { locale, except });
+        result.texts.push(filtered.text);
+        result.blocked ||= filtered.blocked;
+        result.strike ||= filtered.strike;
+        result.matched.push(...filtered.matched);
+    }
+
+    return result;
+}
+
+/**
+ * Explain to the sender why their message was held back
+ * @param {String[]} matched - Rule names that fired
+ * @param {String} locale - The sender's language
+ */
+export function formatFilterNotice(matched, locale = 'en') {
+    const reasons = [...new Set(matched)].map(name => t(locale, `filter.rules.${name}`)).join(', ');
+    return t(locale, 'filter.notice', { reasons });
+}
+
+/**
+ * Count a filter strike and mute the user once the limit is reached
+ * @param {String} userId - The user's ID
+ * @returns {Object|null} - The mute that was applied, if any
+ */
+export async function recordStrike(userId) {
+    const user = await database.findOneAndUpdate(COLLECTION_NAME, { id: userId }, {
+        $inc: { strikes: 1 }
+    });
+
+    const limit = filterConfig.strikeLimit ?? 3;
+    if (!user || limit <= 0 || user.strikes < limit) return null;
+
+    await database.updateOne(COLLECTION_NAME, { id: userId }, { $set: { strikes: 0 } });
+    return await BanManager.addBan(
+        userId,
+        'mute',
+        filterConfig.strikeMuteDuration ?? 60 * 60 * 1000,
+        'Repeated content filter violations',
+        'filter'
+    );
+}
+
+export async function addBannedWord(word) {
+    const normalized = word.trim().toLowerCase();
+    if (!normalized) return false;
+
+    const result = await database.updateOne(BANNED_WORDS_COLLECTION, { word: normalized }, {
+        $setOnInsert: { word: normalized, createdAt: new Date() }
+    }, { upsert: true });
+
+    bannedWords = null;
+    return result.upsertedCount > 0;
+}
+
+export async function removeBannedWord(word) {
+    const result = await database.deleteOne(BANNED_WORDS_COLLECTION, { word: word.trim().toLowerCase() });
+    bannedWords = null;
+    return result.deletedCount > 0;
+}
+
+export async function listBannedWords() {
+    return [...await getBannedWords()].sort();
+}
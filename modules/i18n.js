@@ -0,0 +1,162 @@
+/**
+ * I18n Module
+ * Looks up bot text in the locale catalogs and remembers each user's language
+ */
+import database from '../database.js';
+import config from '../config.js';
+import en from '../locales/en.js';
+import id from '../locales/id.js';
+
+const COLLECTION_NAME = config.anonymousChat?.collection || 'anonymous_chat';
+
+export const CATALOGS = { en, id };
+export const LOCALES = Object.keys(CATALOGS);
+
+const DEFAULT_LOCALE = config.i18n?.defaultLocale || 'en';
+const COUNTRY_LOCALES = config.i18n?.countryLocales || { 62: 'id' };
+
+// Missing keys and placeholders throw under test so they cannot slip through
+const STRICT = process.env.NODE_ENV === 'test';
+
+// Users rarely change language, so their choice is cached after the first lookup
+const localeCache = new Map();
+
+// Admin-edited texts from the template store, keyed by `${locale}:${key}`
+const overrides = new Map();
+
+// Texts set in config.message apply to every language
+const CONFIG_MESSAGES = {
+    'common.welcome': config.message?.welcomeMessage,
+    'common.error': config.message?.errorMessage,
+    'help.unknownCommand': config.message?.notFoundMessage
+};
+
+/**
+ * Look up a key in the shipped catalog, ignoring admin overrides
+ * @param {String} locale - 'en' or 'id'
+ * @param {String} key - Dotted catalog key
+ */
+export function lookupCatalog(locale, key) {
+    return key.split('.').reduce((node, part) => node?.[part], CATALOGS[locale]);
+}
+
+/**
+ * Look up the text used when no admin override is set:
+ * config.message if configured, otherwise the catalog
+ */
+export function lookupDefault(locale, key) {
+    return CONFIG_MESSAGES[key] ?? lookupCatalog(locale, key);
+}
+
+function lookup(locale, key) {
+    return overrides.get(`${locale}:${key}`) ?? lookupDefault(locale, key);
+}
+
+/**
+ * Replace a catalog text, or restore it when text is null
+ */
+export function setOverride(locale, key, text) {
+    if (text === null || text === undefined) {
+        overrides.delete(`${locale}:${key}`);
+    } else {
+        overrides.set(`${locale}:${key}`, text);
+    }
+}
+
+/**
+ * List the {placeholders} used in a template
+ * @returns {String[]} - Unique placeholder names in order of appearance
+ */
+export function placeholdersOf(template) {
+    return [...new Set([...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]))];
+}
+
+function fail(message) {
+    if (STRICT) throw new Error(message);
+    console.error(`[I18n] ${message}`);
+}
+
+/**
+ * Fill {placeholders} in a template
+ * @param {String} template - Text such as 'Wait {seconds} seconds'
+ * @param {Object} params - Placeholder values
+ */
+export function format(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if (params[name] === undefined) {
+            fail(`Missing placeholder "${name}" in "${template}"`);
+            return match;
+        }
+        return String(params[name]);
+    });
+}
+
+/**
+ * Translate a catalog key
+ * Entries with `one` / `other` forms pick one by `params.count`.
+ * @param {String} locale - 'en' or 'id'
+ * @param {String} key - Dotted catalog key, e.g. 'search.expired'
+ * @param {Object} params - Placeholder values
+ * @returns {String} - The text, or the key itself when no catalog has it
+ */
+export function t(locale, key, params = {}) {
+    let entry = lookup(locale, key);
+
+    if (entry === undefined) {
+        fail(`Missing translation "${key}" for locale "${locale}"`);
+        entry = lookup(DEFAULT_LOCALE, key);
+        if (entry === undefined) return key;
+    }
+
+    if (typeof entry === 'object') {
+        entry = params.count === 1 ? entry.one : entry.other;
+    }
+
+    return format(entry, params);
+}
+
+/**
+ * Guess a language from the country code of a WhatsApp ID
+ * @param {String} userId - e.g. 6281234567890@s.whatsapp.net
+ */
+export function guessLocale(userId) {
+    const number = String(userId || '').split('@')[0];
+    const match = Object.entries(COUNTRY_LOCALES).find(([code]) => number.startsWith(code));
+    return match ? match[1] : DEFAULT_LOCALE;
+}
+
+/**
+ * Get a user's language: their .lang choice, or a guess from their number
+ * @param {String} userId - The user's ID
+ */
+export async function getLocale(userId) {
+    if (localeCache.has(userId)) return localeCache.get(userId);
+
+    let locale = guessLocale(userId);
+    try {
+        const user = await database.findOne(COLLECTION_NAME, { id: userId });
+        if (LOCALES.includes(user?.locale)) locale = user.locale;
+        localeCache.set(userId, locale);
+    } catch (error) {
+        console.error('[I18n] Error loading locale:', error);
+    }
+    return locale;
+}
+
+export async function setLocale(userId, locale) {
+    await database.updateOne(COLLECTION_NAME, { id: userId }, {
+        $set: { locale },
+        $setOnInsert: { status: 'idle', partner: null, createdAt: new Date() }
+    }, { upsert: true });
+    localeCache.set(userId, locale);
+}
+
+/**
+ * Translate a key into a user's language
+ * @param {String} userId - Whoever will read the text
+ * @param {String} key - Dotted catalog key
+ * @param {Object} params - Placeholder values
+ */
+export async function translate(userId, key, params = {}) {
+    return t(await getLocale(userId), key, params);
+}
@@ -0,0 +1,121 @@
+/**
+ * Media Store Module
+ * Keeps media for queued messages, report evidence and ads in the storage
+ * backend's file store (GridFS on MongoDB), so documents only hold a media
+ * ID instead of the whole buffer
+ */
+import { downloadMediaMessage } from "@whiskeysockets/baileys";
+import database from '../database.js';
+import config from '../config.js';
+
+export const MEDIA_BUCKET = 'media';
+
+export const MEDIA_TTL = {
+    queue: config.media?.queueTtl ?? 24 * 60 * 60 * 1000,
+    report: config.media?.reportTtl ?? 30 * 24 * 60 * 60 * 1000
+};
+
+const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'stickerMessage', 'documentMessage'];
+
+// Where media is downloaded from; offline runs swap in a source that needs no WhatsApp servers
+export const mediaSource = {
+    download: downloadMediaMessage
+};
+
+/**
+ * Download the media of a received message
+ * @param {Object} bot - The WhatsApp bot instance, asked to re-upload expired media
+ * @param {Object} msg - A message ({ key, message }) holding media
+ * @returns {Buffer} - The decrypted media
+ */
+export async function downloadMessageMedia(bot, msg) {
+    return await mediaSource.download(msg, 'buffer', {}, {
+        logger: console,
+        reuploadRequest: bot.updateMediaMessage
+    });
+}
+
+/**
+ * Store a buffer
+ * @param {Buffer} buffer - The media content
+ * @param {Object} options - { filename, contentType, purpose, ttl, expiresAt }
+ * @returns {String} - The media ID
+ */
+export async function saveMedia(buffer, { filename = 'media', contentType, purpose, ttl, expiresAt } = {}) {
+    const expiry = expiresAt || (ttl ? new Date(Date.now() + ttl) : null);
+
+    return await database.saveFile(MEDIA_BUCKET, buffer, {
+        filename,
+        metadata: {
+            contentType,
+            purpose,
+            expiresAt: expiry
+        }
+    });
+}
+
+/**
+ * Load a stored buffer
+ * @param {String} mediaId - The media ID
+ * @returns {Buffer|null} - The media content, or null if it is gone
+ */
+export async function loadMedia(mediaId) {
+    try {
+        return await database.loadFile(MEDIA_BUCKET, mediaId);
+    } catch (error) {
+        console.error(`[MediaStore] Failed to load media ${mediaId}:`, error);
+        return null;
+    }
+}
+
+export async function deleteMedia(mediaId) {
+    try {
+        await database.deleteFile(MEDIA_BUCKET, mediaId);
+    } catch (error) {
+        // Already removed by cleanup
+        console.error(`[MediaStore] Failed to delete media ${mediaId}:`, error.message);
+    }
+}
+
+/**
+ * Remove media whose expiry passed
+ * File stores cannot use a TTL index, so expiry is enforced here.
+ */
+export async function cleanupExpiredMedia() {
+    try {
+        const expired = await database.findFiles(MEDIA_BUCKET, { 'metadata.expiresAt': { $lte: new Date() } });
+
+        for (const file of expired) {
+            await database.deleteFile(MEDIA_BUCKET, file._id);
+        }
+
+        if (expired.length) {
+            console.log(`[MediaStore] Removed ${expired.length} expired media files`);
+        }
+    } catch (error) {
+        console.error('[MediaStore] Cleanup error:', error);
+    }
+}
+
+/**
+ * Download the media of a WhatsApp message and store it
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - A message ({ key, message }) holding media
+ * @param {Object} options - Options passed to saveMedia
+ * @returns {Object|null} - { mediaId, mediaType, mimetype }, or null if there is no media
+ */
+export async function saveMessageMedia(bot, msg, options = {}) {
+    const type = MEDIA_TYPES.find(mediaType => msg.message?.[mediaType]);
+    if (!type) return null;
+
+    const buffer = await downloadMessageMedia(bot, msg);
+
+    const mimetype = msg.message[type].mimetype;
+    const mediaId = await saveMedia(buffer, {
+        filename: msg.message[type].fileName || type,
+        contentType: mimetype,
+        ...options
+    });
+
+    return { mediaId, mediaType: type.replace('Message', ''), mimetype };
+}
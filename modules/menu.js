@@ -2,24 +2,85 @@
  * Anonymous Chat Menu Module
  * Handles commands for anonymous chat functionality
  */
-import { downloadMediaMessage } from "@whiskeysockets/baileys";
+import baileys, { getAggregateVotesInPollMessage, isJidUser } from "@whiskeysockets/baileys";
 import database from '../database.js';
 import config from '../config.js';
 import AdvertiseManager from './advertise.js';
-import { checkIsAdmin } from './admin.js';
+import { checkIsAdmin, sendMessageToAdmin, toUserJid } from './admin.js';
+import ReportManager from './report.js';
+import BanManager from './ban.js';
+import { checkRateLimit, checkCooldown, startCooldown } from './ratelimit.js';
+import { saveMedia, loadMedia, deleteMedia, downloadMessageMedia, saveMessageMedia, cleanupExpiredMedia, MEDIA_TTL } from './mediastore.js';
+import { recordRelayedMessage, findCounterpart, getContextInfo, updateRelayedText, getStoredMessage, clearExpiredContent } from './relaymap.js';
+import { applyFilters, applyFiltersToEach, formatFilterNotice, recordStrike, addBannedWord, removeBannedWord, listBannedWords } from './filter.js';
+import { compatibilityFilter, handleProfile } from './profile.js';
+import { registerCommand, runCommand, formatHelp } from './commands.js';
+import { t, translate, getLocale, setLocale, LOCALES } from './i18n.js';
+import { TEMPLATE_NAMES, loadTemplates, getTemplate, renderTemplate, setTemplate, resetTemplate } from './templates.js';
+
+const { proto } = baileys;
 
 // Collection name for anonymous chat users
 const COLLECTION_NAME = config.anonymousChat?.collection || 'anonymous_chat';
 
+// Minimum time between .search / .next uses
+const SEARCH_COOLDOWN = config.anonymousChat?.cooldown ?? 60000;
+
+// How long a tagged search waits for an overlapping partner before going random
+const TAG_MATCH_TIMEOUT = config.anonymousChat?.tagMatchTimeout ?? 60000;
+const MAX_TAGS = config.anonymousChat?.maxTags ?? 5;
+const TAG_SWEEP_INTERVAL = 15 * 1000;
+
+// A sweep holds a user in 'matching' at most this long, so a crash mid-sweep
+// cannot leave them stuck
+const MATCH_CLAIM_TTL = 2 * TAG_SWEEP_INTERVAL;
+
+// How long a finished pairing is kept out of matchmaking
+const RECENT_PARTNER_WINDOW = config.anonymousChat?.recentPartnerWindow ?? 60 * 60 * 1000;
+const MAX_RECENT_PARTNERS = 50;
+
+// Searches expire so stale entries are not paired with someone who left
+const SEARCH_TIMEOUT = config.anonymousChat?.searchTimeout ?? 30 * 60 * 1000;
+
+// Recent wait times, newest last, used to estimate how long a search takes
+const MAX_WAIT_SAMPLES = 50;
+const recentWaitTimes = [];
+
+// Failed relays are retried with exponential backoff
+const QUEUE_MAX_RETRIES = config.queue?.maxRetries ?? 5;
+const QUEUE_RETRY_DELAY = config.queue?.retryDelay ?? 30 * 1000;
+
+// Silent chats get a warning, then end after a grace period
+const IDLE_WARNING = config.anonymousChat?.idleWarning ?? 10 * 60 * 1000;
+const IDLE_GRACE = config.anonymousChat?.idleGrace ?? 5 * 60 * 1000;
+const IDLE_CHECK_INTERVAL = 60 * 1000;
+
+// Locations wait for the sender to confirm with .sendloc
+const LOCATION_CONFIRM_TIMEOUT = 2 * 60 * 1000;
+const pendingLocations = new Map();
+
+/**
+ * Forget locations nobody confirmed in time
+ */
+function cleanupPendingLocations() {
+    const now = Date.now();
+    for (const [userId, pending] of pendingLocations) {
+        if (pending.expiresAt <= now) pendingLocations.delete(userId);
+    }
+}
+
+// Media types that need both partners to run .allowmedia first
+const CONSENT_MEDIA_TYPES = ['imageMessage', 'videoMessage', 'stickerMessage', 'documentMessage'];
+
 async function cleanupRecentPartners() {
     try {
-        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000); // 1 hour ago
+        const windowStart = new Date(Date.now() - RECENT_PARTNER_WINDOW);
         
-        // Update all users to remove partners older than 1 hour
+        // Update all users to remove partners outside the window
         await database.updateMany(COLLECTION_NAME, {}, {
             $pull: {
                 recentPartners: {
-                    timestamp: { $lt: oneHourAgo }
+                    timestamp: { $lt: windowStart }
                 }
             }
         });
@@ -31,117 +92,553 @@ async function cleanupRecentPartners() {
 }
 
 
+let backgroundJobsStarted = false;
+const backgroundJobs = [];
+
 /**
  * Initialize the anonymous chat collections
  */
 async function initializeCollections() {
+    if (backgroundJobsStarted) return;
+    backgroundJobsStarted = true;
+
     try {
         // Create the collections if they don't exist
-        await database.collection(COLLECTION_NAME);
-        await database.collection('message_queue');
+        await database.createCollection(COLLECTION_NAME);
+        await database.createCollection('message_queue');
         console.log('[AnonymousChat] Collections initialized');
+
+        // Layer the admin-edited texts over the catalogs
+        await loadTemplates();
         
         // Set up periodic cleanup of recent partners (every hour)
-        setInterval(cleanupRecentPartners, 60 * 60 * 1000); // Run every hour
+        backgroundJobs.push(setInterval(cleanupRecentPartners, 60 * 60 * 1000)); // Run every hour
+
+        // Remove expired media from the media store (every hour)
+        backgroundJobs.push(setInterval(cleanupExpiredMedia, 60 * 60 * 1000));
+
+        // Drop relayed message bodies once their content TTL is over (every 10 minutes)
+        backgroundJobs.push(setInterval(clearExpiredContent, 10 * 60 * 1000));
         
         // Set up periodic processing of message queue (every minute)
-        setInterval(async () => {
+        backgroundJobs.push(setInterval(async () => {
             const bot = global.bot; // Assuming you store the bot instance globally
             if (bot) {
                 await processMessageQueue(bot);
             }
-        }, 60 * 1000); // Run every minute
+        }, 60 * 1000)); // Run every minute
+
+        // Pair users whose interest search has run out of time
+        backgroundJobs.push(setInterval(async () => {
+            const bot = global.bot;
+            if (bot) {
+                await matchExpiredSearches(bot);
+            }
+        }, TAG_SWEEP_INTERVAL));
+
+        // Give up searches that waited too long
+        backgroundJobs.push(setInterval(async () => {
+            const bot = global.bot;
+            if (bot) {
+                await expireStaleSearches(bot);
+            }
+        }, IDLE_CHECK_INTERVAL));
+
+        // Forget unconfirmed locations once they time out
+        backgroundJobs.push(setInterval(cleanupPendingLocations, IDLE_CHECK_INTERVAL));
+
+        // Warn and then disconnect silent chats
+        backgroundJobs.push(setInterval(async () => {
+            const bot = global.bot;
+            if (bot) {
+                await checkIdleChats(bot);
+            }
+        }, IDLE_CHECK_INTERVAL));
     } catch (error) {
         console.error('[AnonymousChat] Error initializing collections:', error);
     }
 }
 
+/**
+ * Stop the periodic jobs started by initializeCollections,
+ * so a process that runs the bot offline can exit
+ */
+function stopBackgroundJobs() {
+    backgroundJobs.splice(0).forEach(clearInterval);
+    backgroundJobsStarted = false;
+}
+
+/**
+ * Make sure a user document exists without touching an existing one
+ * @param {String} userId - The user's ID
+ * @returns {Boolean} - True if the document was just created
+ */
+async function ensureUser(userId) {
+    const result = await database.updateOne(COLLECTION_NAME, { id: userId }, {
+        $setOnInsert: {
+            id: userId,
+            status: 'idle',
+            partner: null,
+            createdAt: new Date()
+        }
+    }, { upsert: true });
+
+    return result.upsertedCount > 0;
+}
+
+/**
+ * Greet someone the first time they write to the bot
+ * Only for people in a 1:1 chat; groups and broadcasts are never greeted.
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {String} userId - The user's ID
+ */
+async function welcomeNewUser(bot, userId) {
+    if (!isJidUser(userId)) return;
+
+    if (await ensureUser(userId)) {
+        await bot.sendMessage(userId, {
+            text: await translate(userId, 'common.welcome', { name: config.bot.name })
+        });
+    }
+}
+
+/**
+ * Parse interest tags from `.search music` or `.search gaming,anime`
+ * @param {String[]} args - Command arguments
+ * @returns {String[]} - Normalized, unique tags
+ */
+function parseTags(args) {
+    const tags = args
+        .join(',')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase().replace(/^#/, '').replace(/[^\p{L}\p{N}_-]/gu, ''))
+        .filter(Boolean);
+
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Filter for waiting users that accept a random partner:
+ * untagged searches and tagged ones whose tag window has passed
+ */
+function randomPoolFilter() {
+    return {
+        $or: [
+            { tags: { $exists: false } },
+            { tags: { $size: 0 } },
+            { tagMatchUntil: { $lte: new Date() } }
+        ]
+    };
+}
+
+/**
+ * Filter out recent partners and blocked users, in both directions
+ * @param {Object} user - The searching user's document
+ * @returns {Object[]} - Conditions to combine with $and
+ */
+function partnerExclusionFilter(user) {
+    const windowStart = new Date(Date.now() - RECENT_PARTNER_WINDOW);
+    const recentIds = (user.recentPartners || [])
+        .filter(entry => new Date(entry.timestamp) >= windowStart)
+        .map(entry => entry.id);
+
+    return [
+        { id: { $nin: [...recentIds, ...(user.blockedUsers || [])] } },
+        { recentPartners: { $not: { $elemMatch: { id: user.id, timestamp: { $gte: windowStart } } } } },
+        { blockedUsers: { $ne: user.id } },
+        { suspended: { $ne: true } }
+    ];
+}
+
+/**
+ * End a chat between two users and remember the pairing
+ * Both sides go back to idle and record each other in recentPartners,
+ * so the next search does not reconnect them straight away.
+ * @param {String} userId - The user ending the chat
+ * @param {String} partnerId - Their current partner
+ */
+async function endChat(userId, partnerId) {
+    const now = new Date();
+
+    const pairUpdate = (otherId) => ({
+        $set: {
+            status: 'idle',
+            partner: null,
+            lastPartner: otherId,
+            lastActivity: now
+        },
+        $unset: { idleWarnedAt: '' },
+        $push: {
+            recentPartners: {
+                $each: [{ id: otherId, timestamp: now }],
+                $slice: -MAX_RECENT_PARTNERS
+            }
+        }
+    });
+
+    // Only release the partner if they are still paired with this user
+    await database.updateOne(COLLECTION_NAME, { id: partnerId, partner: userId }, pairUpdate(userId));
+    await database.updateOne(COLLECTION_NAME, { id: userId }, pairUpdate(partnerId));
+
+    // Unconfirmed locations were meant for this chat only
+    pendingLocations.delete(userId);
+    pendingLocations.delete(partnerId);
+}
+
+/**
+ * Cancel searches older than the search timeout and tell the user
+ * @param {Object} bot - The WhatsApp bot instance
+ */
+async function expireStaleSearches(bot) {
+    try {
+        const cutoff = new Date(Date.now() - SEARCH_TIMEOUT);
+        const stale = await database.find(COLLECTION_NAME, {
+            status: 'waiting',
+            lastSearchTime: { $lte: cutoff }
+        });
+
+        for (const user of stale) {
+            // Skip users that were matched since the query ran
+            const expired = await database.updateOne(COLLECTION_NAME, {
+                id: user.id,
+                status: 'waiting',
+                lastSearchTime: { $lte: cutoff }
+            }, {
+                $set: { status: 'idle', partner: null }
+            });
+
+            if (expired.modifiedCount === 0) continue;
+
+            await bot.sendMessage(user.id, {
+                text: await translate(user.id, 'search.expired', { minutes: Math.round(SEARCH_TIMEOUT / 60000) })
+            });
+        }
+    } catch (error) {
+        console.error('[Search] Error expiring stale searches:', error);
+    }
+}
+
+function formatDuration(ms, locale) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return t(locale, 'duration.lessThanMinute');
+    if (minutes < 60) return t(locale, 'duration.minutes', { count: minutes });
+    return t(locale, 'duration.hours', { count: Math.round(minutes / 60) });
+}
+
+/**
+ * Handle the status command - queue position and wait estimate
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ */
+async function handleStatus(bot, msg, sender) {
+    try {
+        const user = await database.findOne(COLLECTION_NAME, { id: sender });
+        // Users the matching sweep holds are still in the queue
+        const searching = { $in: ['waiting', 'matching'] };
+        const waiting = await database.countDocuments(COLLECTION_NAME, { status: searching });
+        const chatting = await database.countDocuments(COLLECTION_NAME, { status: 'chatting' });
+
+        const locale = await getLocale(sender);
+        let text = t(locale, 'status.header', { waiting, chatting });
+
+        if (user?.status === 'chatting') {
+            text += t(locale, 'status.chatting');
+        } else if (user?.status === 'waiting' || user?.status === 'matching') {
+            const position = await database.countDocuments(COLLECTION_NAME, {
+                status: searching,
+                lastSearchTime: { $lt: user.lastSearchTime }
+            }) + 1;
+
+            const waitedMs = Date.now() - new Date(user.lastSearchTime).getTime();
+            const expiresInMs = Math.max(0, SEARCH_TIMEOUT - waitedMs);
+
+            text += t(locale, 'status.position', { position, waited: formatDuration(waitedMs, locale) });
+
+            if (recentWaitTimes.length) {
+                const sorted = [...recentWaitTimes].sort((a, b) => a - b);
+                const median = sorted[Math.floor(sorted.length / 2)];
+                text += t(locale, 'status.estimate', { wait: formatDuration(Math.max(0, median - waitedMs), locale) });
+            } else {
+                text += t(locale, 'status.estimateUnknown');
+            }
+
+            text += t(locale, 'status.expiresIn', { remaining: formatDuration(expiresInMs, locale) });
+        } else {
+            text += t(locale, 'status.idle');
+        }
+
+        await bot.sendMessage(msg.key.remoteJid, { text });
+    } catch (error) {
+        console.error('[Status] Error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Warn silent chats and end the ones that stayed silent after the warning
+ * @param {Object} bot - The WhatsApp bot instance
+ */
+async function checkIdleChats(bot) {
+    try {
+        const now = Date.now();
+        const handled = new Set();
+
+        // End chats that were warned and stayed silent
+        const expired = await database.find(COLLECTION_NAME, {
+            status: 'chatting',
+            idleWarnedAt: { $lte: new Date(now - IDLE_GRACE) }
+        });
+
+        for (const user of expired) {
+            if (handled.has(user.id) || !user.partner) continue;
+            handled.add(user.id);
+            handled.add(user.partner);
+
+            await endChat(user.id, user.partner);
+
+            for (const recipient of [user.id, user.partner]) {
+                await bot.sendMessage(recipient, { text: await translate(recipient, 'idle.ended') });
+            }
+        }
+
+        // Warn chats that just went silent
+        const silent = await database.find(COLLECTION_NAME, {
+            status: 'chatting',
+            lastActivity: { $lte: new Date(now - IDLE_WARNING) },
+            idleWarnedAt: null
+        });
+
+        for (const user of silent) {
+            if (handled.has(user.id) || !user.partner) continue;
+            handled.add(user.id);
+            handled.add(user.partner);
+
+            await database.updateMany(COLLECTION_NAME, {
+                id: { $in: [user.id, user.partner] }
+            }, {
+                $set: { idleWarnedAt: new Date(now) }
+            });
+
+            for (const recipient of [user.id, user.partner]) {
+                await bot.sendMessage(recipient, {
+                    text: await translate(recipient, 'idle.warning', { minutes: Math.round(IDLE_GRACE / 60000) })
+                });
+            }
+        }
+    } catch (error) {
+        console.error('[Idle] Error checking idle chats:', error);
+    }
+}
+
+/**
+ * Atomically claim the longest waiting user as a partner
+ * Only one caller can flip a given user from 'waiting' to 'chatting',
+ * so concurrent searches can never grab the same partner.
+ * @param {Object} user - The document of the user looking for a partner
+ * @param {String[]} tags - Interest tags; empty means a random partner
+ * @returns {Object|null} - The claimed partner document
+ */
+async function claimWaitingPartner(user, tags = []) {
+    const userId = user.id;
+    const filter = {
+        status: 'waiting',
+        id: { $ne: userId },
+        $and: [
+            tags.length ? { tags: { $in: tags } } : randomPoolFilter(),
+            ...partnerExclusionFilter(user),
+            ...compatibilityFilter(user)
+        ]
+    };
+
+    return await database.findOneAndUpdate(COLLECTION_NAME, filter, {
+        $set: {
+            status: 'chatting',
+            partner: userId,
+            mediaConsent: false,
+            lastActivity: new Date()
+        }
+    }, { sort: { lastSearchTime: 1 } });
+}
+
+/**
+ * Finish a pairing after a partner was claimed
+ * Returns false and releases the partner if a concurrent search or the
+ * matching sweep got to this user first.
+ * @param {String} userId - The user who claimed the partner
+ * @param {Object} partner - The claimed partner document
+ * @param {Object} expected - Filter the user must still match, e.g. the sweep's claim
+ * @returns {Boolean} - True if both users are now connected
+ */
+async function completePairing(userId, partner, expected = { status: { $nin: ['chatting', 'matching'] } }) {
+    const paired = await database.updateOne(COLLECTION_NAME, {
+        ...expected,
+        id: userId
+    }, {
+        $set: {
+            status: 'chatting',
+            partner: partner.id,
+            mediaConsent: false,
+            lastActivity: new Date()
+        },
+        $unset: { matchingUntil: '' }
+    });
+
+    if (paired.modifiedCount > 0 && partner.lastSearchTime) {
+        recentWaitTimes.push(Date.now() - new Date(partner.lastSearchTime).getTime());
+        if (recentWaitTimes.length > MAX_WAIT_SAMPLES) recentWaitTimes.shift();
+    }
+
+    if (paired.modifiedCount === 0) {
+        // Put the claimed partner back at the front of the queue
+        await database.updateOne(COLLECTION_NAME, {
+            id: partner.id,
+            status: 'chatting',
+            partner: userId
+        }, {
+            $set: {
+                status: 'waiting',
+                partner: null
+            }
+        });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Tell both users they are connected
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {String} userId - The user who completed the pairing
+ * @param {Object} partner - The partner document
+ * @param {String[]} tags - The user's interest tags
+ */
+async function announcePartnerFound(bot, userId, partner, tags = []) {
+    const sharedTags = tags.filter(tag => partner.tags?.includes(tag));
+
+    for (const recipient of [userId, partner.id]) {
+        const locale = await getLocale(recipient);
+        const interestsLine = sharedTags.length
+            ? t(locale, 'search.sharedInterests', { tags: sharedTags.map(tag => `#${tag}`).join(' ') })
+            : '';
+        await bot.sendMessage(recipient, { text: t(locale, 'search.partnerFound', { interests: interestsLine }) });
+    }
+
+    await subscribePresence(bot, [userId, partner.id]);
+
+    // Send advertisement if configured
+    await AdvertiseManager.sendAdvertisement(bot, userId, 'search');
+    await AdvertiseManager.sendAdvertisement(bot, partner.id, 'search');
+}
+
+/**
+ * Tell a banned user about their ban
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {String} sender - The sender's ID
+ * @param {String[]} types - Restriction types that apply to this action
+ * @returns {Boolean} - True if the user is banned and was notified
+ */
+async function notifyIfBanned(bot, sender, types = ['ban']) {
+    const ban = await BanManager.getActiveBan(sender, types);
+    if (!ban) return false;
+
+    await bot.sendMessage(sender, { text: BanManager.formatBanNotice(ban, await getLocale(sender)) });
+    return true;
+}
+
 /**
  * Handle the search command - find a chat partner
  * @param {Object} bot - The WhatsApp bot instance
  * @param {Object} msg - The message object
  * @param {String} sender - The sender's ID
+ * @param {String[]} args - Interest tags
+ * @returns {Boolean} - True if the user was paired or queued
  */
-async function handleSearch(bot, msg, sender) {
+async function handleSearch(bot, msg, sender, args = []) {
     try {
+        if (await notifyIfBanned(bot, sender)) return false;
+
+        await ensureUser(sender);
+
+        const existingUser = await database.findOne(COLLECTION_NAME, { id: sender });
+
         // Check if user is already in chat
-        const existingUser = await database.findOne(COLLECTION_NAME, { 
-            id: sender,
-            status: 'chatting'
-        });
+        if (existingUser?.status === 'chatting' && existingUser.partner) {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'search.alreadyChatting') 
+            });
+            return false;
+        }
 
-        if (existingUser && existingUser.partner) {
+        if (existingUser?.suspended) {
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '❌ You are already in a conversation. Use *.stop* to end the chat first.' 
+                text: await translate(msg.key.remoteJid, 'search.suspended') 
             });
-            return;
+            return false;
         }
 
         // Check if user is already searching
-        const searchingUser = await database.findOne(COLLECTION_NAME, {
-            id: sender,
-            status: 'waiting'
-        });
-
-        if (searchingUser) {
+        if (['waiting', 'matching'].includes(existingUser?.status)) {
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '🔍 You are already in search mode. Please wait...\n\nUse *.stop* to cancel the search.' 
+                text: await translate(msg.key.remoteJid, 'search.alreadySearching') 
             });
-            return;
+            return false;
         }
 
+        const tags = parseTags(args);
+
         // Find available partner
-        const partner = await database.findOne(COLLECTION_NAME, {
-            status: 'waiting',
-            id: { $ne: sender }
-        });
+        const partner = await claimWaitingPartner(existingUser, tags);
 
         if (partner) {
-            // Connect both users
-            await database.updateOne(COLLECTION_NAME, { id: sender }, {
-                $set: {
-                    status: 'chatting',
-                    partner: partner.id,
-                    lastActivity: new Date()
-                }
-            }, { upsert: true });
-
-            await database.updateOne(COLLECTION_NAME, { id: partner.id }, {
-                $set: {
-                    status: 'chatting',
-                    partner: sender,
-                    lastActivity: new Date()
+            if (!await completePairing(sender, partner)) {
+                // Whoever paired this user first has announced it; otherwise
+                // they are queued or held by the matching sweep
+                const current = await database.findOne(COLLECTION_NAME, { id: sender });
+                if (current?.status !== 'chatting') {
+                    await bot.sendMessage(msg.key.remoteJid, {
+                        text: await translate(msg.key.remoteJid, 'search.stillSearching')
+                    });
                 }
-            });
-
-            // Send success messages
-            const connectedMsg = '🎉 *Partner found!*\n\n' +
-                               'You are now connected to a random person. ' +
-                               'Be respectful and enjoy your conversation.\n\n' +
-                               'Use *.next* to find a new partner or ' +
-                               '*.stop* to end the chat.';
-
-            await bot.sendMessage(msg.key.remoteJid, { text: connectedMsg });
-            await bot.sendMessage(partner.id, { text: connectedMsg });
+                return false;
+            }
 
-            // Send advertisement if configured
-            await AdvertiseManager.sendAdvertisement(bot, sender, 'search');
-            await AdvertiseManager.sendAdvertisement(bot, partner.id, 'search');
+            await announcePartnerFound(bot, sender, partner, tags);
+            return true;
         } else {
             // Add user to waiting list
-            await database.updateOne(COLLECTION_NAME, { id: sender }, {
+            const queued = await database.updateOne(COLLECTION_NAME, {
+                id: sender,
+                status: { $nin: ['chatting', 'waiting'] }
+            }, {
                 $set: {
                     status: 'waiting',
                     partner: null,
+                    tags: tags,
+                    tagMatchUntil: new Date(Date.now() + (tags.length ? TAG_MATCH_TIMEOUT : 0)),
+                    lastSearchTime: new Date(),
                     lastActivity: new Date()
                 }
-            }, { upsert: true });
+            });
+
+            if (queued.modifiedCount === 0) {
+                // A concurrent search already queued or paired this user
+                return false;
+            }
+
+            const locale = await getLocale(sender);
+            const tagsLine = tags.length
+                ? t(locale, 'search.tagsLine', {
+                    tags: tags.map(tag => `#${tag}`).join(' '),
+                    seconds: Math.round(TAG_MATCH_TIMEOUT / 1000)
+                })
+                : '';
 
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '🔍 *Searching for a chat partner...*\n\n' +
-                      'Please wait while we find someone for you.\n\n' +
-                      'Use *.stop* to cancel the search.' 
+                text: t(locale, 'search.searching', { tags: tagsLine })
             });
+            return true;
         }
     } catch (error) {
         console.error('[Search] Error:', error);
@@ -149,14 +646,75 @@ async function handleSearch(bot, msg, sender) {
     }
 }
 
+/**
+ * Pair waiting users that are open to a random partner
+ * Covers tagged searches whose tag window expired and users that
+ * queued at the same moment without seeing each other.
+ * @param {Object} bot - The WhatsApp bot instance
+ */
+async function matchExpiredSearches(bot) {
+    try {
+        // Release users held by a sweep that never finished
+        await database.updateMany(COLLECTION_NAME, {
+            status: 'matching',
+            $or: [
+                { matchingUntil: { $lte: new Date() } },
+                { matchingUntil: { $exists: false } }
+            ]
+        }, {
+            $set: { status: 'waiting' },
+            $unset: { matchingUntil: '' }
+        });
+
+        const candidates = await database.find(COLLECTION_NAME, {
+            status: 'waiting',
+            ...randomPoolFilter()
+        }, { sort: { lastSearchTime: 1 } });
+
+        if (candidates.length < 2) return;
+
+        for (const candidate of candidates) {
+            // Take the candidate out of the pool so nobody else claims it meanwhile.
+            // The expiry doubles as the claim's token: a .stop or a newer sweep
+            // replaces it, and then this sweep leaves the user alone
+            const claim = { status: 'matching', matchingUntil: new Date(Date.now() + MATCH_CLAIM_TTL) };
+            const user = await database.findOneAndUpdate(COLLECTION_NAME, {
+                id: candidate.id,
+                status: 'waiting'
+            }, {
+                $set: claim
+            });
+
+            if (!user) continue;
+
+            const partner = await claimWaitingPartner(user);
+
+            if (partner && await completePairing(user.id, partner, claim)) {
+                await announcePartnerFound(bot, user.id, partner, user.tags);
+                continue;
+            }
+
+            await database.updateOne(COLLECTION_NAME, { id: user.id, ...claim }, {
+                $set: { status: 'waiting' },
+                $unset: { matchingUntil: '' }
+            });
+        }
+    } catch (error) {
+        console.error('[Search] Error matching expired searches:', error);
+    }
+}
+
 /**
  * Handle the next command - find a new chat partner
  * @param {Object} bot - The WhatsApp bot instance
  * @param {Object} msg - The message object
  * @param {String} sender - The sender's ID
+ * @returns {Boolean} - True if the chat was ended
  */
 async function handleNext(bot, msg, sender) {
     try {
+        if (await notifyIfBanned(bot, sender)) return false;
+
         // Check if user is in chat
         const user = await database.findOne(COLLECTION_NAME, {
             id: sender,
@@ -165,29 +723,24 @@ async function handleNext(bot, msg, sender) {
 
         if (!user || !user.partner) {
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '❌ You are not in a conversation with anyone.' 
+                text: await translate(msg.key.remoteJid, 'chat.notChatting') 
             });
-            return;
+            return false;
         }
 
         const partnerId = user.partner;
 
         // Notify current partner
         await bot.sendMessage(partnerId, { 
-            text: '👋 Your partner has decided to find someone new.' 
+            text: await translate(partnerId, 'chat.partnerNext') 
         });
 
         // Update both users' status
-        await database.updateOne(COLLECTION_NAME, { id: partnerId }, {
-            $set: {
-                status: 'idle',
-                partner: null,
-                lastActivity: new Date()
-            }
-        });
+        await endChat(sender, partnerId);
 
         // Start new search for current user
         await handleSearch(bot, msg, sender);
+        return true;
 
     } catch (error) {
         console.error('[Next] Error:', error);
@@ -230,7 +783,7 @@ async function handleStop(bot, msg, sender) {
 
         if (!user) {
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '❌ You are not in a conversation or search.' 
+                text: await translate(msg.key.remoteJid, 'chat.notChattingOrSearching') 
             });
             return;
         }
@@ -238,30 +791,26 @@ async function handleStop(bot, msg, sender) {
         if (user.partner) {
             // Notify partner if exists
             await bot.sendMessage(user.partner, { 
-                text: '👋 Your partner has ended the conversation.' 
+                text: await translate(user.partner, 'chat.partnerEnded') 
             });
 
-            // Update partner status
-            await database.updateOne(COLLECTION_NAME, { id: user.partner }, {
+            // Update both users' status
+            await endChat(sender, user.partner);
+        } else {
+            // Cancel a running search; dropping the claim also stops a sweep
+            // that is pairing this user right now
+            await database.updateOne(COLLECTION_NAME, { id: sender }, {
                 $set: {
                     status: 'idle',
                     partner: null,
                     lastActivity: new Date()
-                }
+                },
+                $unset: { matchingUntil: '' }
             });
         }
 
-        // Update user status
-        await database.updateOne(COLLECTION_NAME, { id: sender }, {
-            $set: {
-                status: 'idle',
-                partner: null,
-                lastActivity: new Date()
-            }
-        });
-
         await bot.sendMessage(msg.key.remoteJid, { 
-            text: '✅ Chat ended.\n\nUse *.search* to find a new partner.' 
+            text: await translate(msg.key.remoteJid, 'chat.ended') 
         });
 
     } catch (error) {
@@ -272,12 +821,12 @@ async function handleStop(bot, msg, sender) {
 
 
 /**
- * Handle the sendpp command - send profile picture to partner
+ * Handle the block command - end the chat and never match this pair again
  * @param {Object} bot - The WhatsApp bot instance
  * @param {Object} msg - The message object
  * @param {String} sender - The sender's ID
  */
-async function handleSendPP(bot, msg, sender) {
+async function handleBlock(bot, msg, sender) {
     try {
         const user = await database.findOne(COLLECTION_NAME, {
             id: sender,
@@ -286,27 +835,385 @@ async function handleSendPP(bot, msg, sender) {
 
         if (!user || !user.partner) {
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '❌ You must be in a conversation to send your profile picture.' 
+                text: await translate(msg.key.remoteJid, 'block.notChatting') 
             });
             return;
         }
 
-        try {
-            const ppUrl = await bot.profilePictureUrl(sender, 'image');
-            
-            // Send PP to partner
-            await bot.sendMessage(user.partner, { 
-                image: { url: ppUrl },
-                caption: '👤 Partner\'s profile picture.'
+        const partnerId = user.partner;
+
+        await database.updateOne(COLLECTION_NAME, { id: sender }, {
+            $addToSet: { blockedUsers: partnerId }
+        });
+
+        // The partner is not told they were blocked
+        await bot.sendMessage(partnerId, { 
+            text: await translate(partnerId, 'chat.partnerEnded') 
+        });
+
+        await endChat(sender, partnerId);
+
+        await bot.sendMessage(msg.key.remoteJid, { 
+            text: await translate(msg.key.remoteJid, 'block.done') 
+        });
+    } catch (error) {
+        console.error('[Block] Error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Handle the allowmedia command - consent to media sharing in this chat
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String[]} args - `off` withdraws the consent
+ */
+async function handleAllowMedia(bot, msg, sender, args = []) {
+    try {
+        const user = await database.findOne(COLLECTION_NAME, {
+            id: sender,
+            status: 'chatting'
+        });
+
+        if (!user || !user.partner) {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'media.notChatting') 
+            });
+            return;
+        }
+
+        const allow = args[0] !== 'off';
+
+        await database.updateOne(COLLECTION_NAME, { id: sender }, {
+            $set: { mediaConsent: allow }
+        });
+
+        if (!allow) {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'media.disabled') 
+            });
+            await bot.sendMessage(user.partner, { 
+                text: await translate(user.partner, 'media.partnerDisabled') 
+            });
+            return;
+        }
+
+        const partner = await database.findOne(COLLECTION_NAME, { id: user.partner });
+
+        if (partner?.mediaConsent) {
+            for (const recipient of [msg.key.remoteJid, user.partner]) {
+                await bot.sendMessage(recipient, { text: await translate(recipient, 'media.enabled') });
+            }
+        } else {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'media.allowed') 
+            });
+            await bot.sendMessage(user.partner, { 
+                text: await translate(user.partner, 'media.partnerAsks') 
+            });
+        }
+    } catch (error) {
+        console.error('[AllowMedia] Error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Subscribe to presence updates so typing can be mirrored
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {String[]} userIds - Users to subscribe to
+ */
+async function subscribePresence(bot, userIds) {
+    for (const userId of userIds) {
+        try {
+            await bot.presenceSubscribe(userId);
+        } catch (error) {
+            console.error(`[Presence] Failed to subscribe to ${userId}:`, error);
+        }
+    }
+}
+
+/**
+ * Re-subscribe to everyone in a chat, e.g. after reconnecting
+ * @param {Object} bot - The WhatsApp bot instance
+ */
+async function subscribeChattingUsers(bot) {
+    try {
+        const users = await database.find(COLLECTION_NAME, { status: 'chatting' });
+        await subscribePresence(bot, users.map(user => user.id));
+    } catch (error) {
+        console.error('[Presence] Error subscribing to chatting users:', error);
+    }
+}
+
+/**
+ * Check whether a user shares this kind of presence with their partner
+ * The user's own .presence setting wins over the global feature flags.
+ * @param {Object} user - The user document
+ * @param {String} presence - 'composing', 'recording' or 'paused'
+ */
+function sharesPresence(user, presence) {
+    if (typeof user.presenceRelay === 'boolean') return user.presenceRelay;
+
+    const { autoTyping, autoRecording } = config.features || {};
+    if (presence === 'composing') return Boolean(autoTyping);
+    if (presence === 'recording') return Boolean(autoRecording);
+    return Boolean(autoTyping || autoRecording);
+}
+
+/**
+ * Mirror "typing…" and "recording audio…" to the partner
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {String} chatId - The chat the presence update belongs to
+ * @param {Object} presences - Presence data keyed by participant
+ */
+async function relayPresence(bot, chatId, presences) {
+    try {
+        const presence = presences?.[chatId]?.lastKnownPresence;
+        if (!['composing', 'recording', 'paused'].includes(presence)) return;
+
+        const user = await database.findOne(COLLECTION_NAME, { id: chatId, status: 'chatting' });
+        if (!user?.partner || !sharesPresence(user, presence)) return;
+
+        await bot.sendPresenceUpdate(presence, user.partner);
+    } catch (error) {
+        console.error('[Presence] Error relaying presence:', error);
+    }
+}
+
+/**
+ * Handle the presence command - turn typing indicators on or off
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String[]} args - `on`, `off` or `default`
+ */
+async function handlePresence(bot, msg, sender, args = []) {
+    try {
+        const setting = args[0];
+
+        if (!['on', 'off', 'default'].includes(setting)) {
+            const user = await database.findOne(COLLECTION_NAME, { id: sender });
+            const current = typeof user?.presenceRelay === 'boolean'
+                ? (user.presenceRelay ? 'on' : 'off')
+                : 'default';
+
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'presence.current', { current }) 
+            });
+            return;
+        }
+
+        await ensureUser(sender);
+        await database.updateOne(COLLECTION_NAME, { id: sender }, setting === 'default'
+            ? { $unset: { presenceRelay: '' } }
+            : { $set: { presenceRelay: setting === 'on' } });
+
+        await bot.sendMessage(msg.key.remoteJid, { 
+            text: await translate(msg.key.remoteJid, setting === 'off' ? 'presence.disabled' : 'presence.enabled')
+        });
+    } catch (error) {
+        console.error('[Presence] Error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Mark an incoming message as read when features.autoRead is on
+ * Messages relayed to a partner who shares read receipts stay unread
+ * until the partner reads the relayed copy.
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The incoming message
+ */
+async function markIncomingRead(bot, msg) {
+    if (!config.features?.autoRead) return;
+
+    try {
+        const user = await database.findOne(COLLECTION_NAME, { id: msg.key.remoteJid, status: 'chatting' });
+        if (user?.partner) {
+            const partner = await database.findOne(COLLECTION_NAME, { id: user.partner });
+            if (partner?.shareReceipts) return;
+        }
+
+        await bot.readMessages([msg.key]);
+    } catch (error) {
+        console.error('[Receipts] Error marking message as read:', error);
+    }
+}
+
+/**
+ * Mark the sender's original as read once the partner read the relayed copy
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} key - Key of the relayed copy in the reader's chat
+ */
+async function relayReadReceipt(bot, key) {
+    try {
+        if (!key.fromMe) return;
+
+        const reader = await database.findOne(COLLECTION_NAME, { id: key.remoteJid, status: 'chatting' });
+        if (!reader?.partner || !reader.shareReceipts) return;
+
+        const original = await findCounterpart(key.remoteJid, key.id);
+        if (!original || original.key.fromMe || original.key.remoteJid !== reader.partner) return;
+
+        await bot.readMessages([original.key]);
+    } catch (error) {
+        console.error('[Receipts] Error relaying read receipt:', error);
+    }
+}
+
+/**
+ * Handle the receipts command - share read receipts with the partner
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String[]} args - `on` or `off`
+ */
+async function handleReceipts(bot, msg, sender, args = []) {
+    try {
+        const setting = args[0];
+
+        if (!['on', 'off'].includes(setting)) {
+            const user = await database.findOne(COLLECTION_NAME, { id: sender });
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'receipts.current', { current: user?.shareReceipts ? 'on' : 'off' }) 
+            });
+            return;
+        }
+
+        await ensureUser(sender);
+        await database.updateOne(COLLECTION_NAME, { id: sender }, {
+            $set: { shareReceipts: setting === 'on' }
+        });
+
+        await bot.sendMessage(msg.key.remoteJid, { 
+            text: await translate(msg.key.remoteJid, setting === 'on' ? 'receipts.enabled' : 'receipts.disabled')
+        });
+    } catch (error) {
+        console.error('[Receipts] Error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Handle the report command - report the current or last partner
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String[]} args - The reason, word by word
+ */
+async function handleReport(bot, msg, sender, args = []) {
+    try {
+        const reason = args.join(' ').trim();
+
+        if (!reason) {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'report.noReason') 
             });
+            return;
+        }
+
+        const user = await database.findOne(COLLECTION_NAME, { id: sender });
+        const reported = (user?.status === 'chatting' && user.partner) || user?.lastPartner;
 
+        if (!reported) {
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '✅ Profile picture successfully sent to your partner.' 
+                text: await translate(msg.key.remoteJid, 'report.noPartner') 
+            });
+            return;
+        }
+
+        // Keep the quoted message as evidence when the report is a reply
+        const contextInfo = getContextInfo(msg.message);
+        const quoted = contextInfo?.quotedMessage;
+        const quotedText = quoted?.conversation || quoted?.extendedTextMessage?.text;
+        const evidence = quotedText ? { text: quotedText } : {};
+
+        // Media evidence: the report's own attachment or the quoted media
+        try {
+            const mediaOptions = { purpose: 'report', ttl: MEDIA_TTL.report };
+            const media = await saveMessageMedia(bot, msg, mediaOptions) ||
+                (quoted && await saveMessageMedia(bot, {
+                    key: { remoteJid: sender, id: contextInfo.stanzaId },
+                    message: quoted
+                }, mediaOptions));
+
+            if (media) evidence.media = media;
+        } catch (mediaError) {
+            console.error('[Report] Failed to store media evidence:', mediaError);
+        }
+
+        const result = await ReportManager.createReport(sender, reported, reason,
+            Object.keys(evidence).length ? evidence : null);
+
+        if (!result.success) {
+            await bot.sendMessage(msg.key.remoteJid, { text: await translate(msg.key.remoteJid, result.messageKey) });
+            return;
+        }
+
+        await bot.sendMessage(msg.key.remoteJid, { 
+            text: await translate(msg.key.remoteJid, 'report.sent') 
+        });
+
+        if (result.searchCancelled) {
+            await bot.sendMessage(reported, {
+                text: await translate(reported, 'report.searchCancelled')
+            });
+        }
+
+        const adminLocale = await getLocale(config.bot.owner);
+        let adminText = t(adminLocale, 'report.adminNew', {
+            detail: ReportManager.formatReportDetail(result.report, adminLocale)
+        });
+        if (result.suspended) {
+            adminText += t(adminLocale, 'report.adminSuspended');
+        }
+        adminText += t(adminLocale, 'report.adminActions', { id: result.report._id });
+
+        await sendMessageToAdmin(bot, adminText);
+    } catch (error) {
+        console.error('[Report] Error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Handle the sendpp command - send profile picture to partner
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ */
+async function handleSendPP(bot, msg, sender) {
+    try {
+        const user = await database.findOne(COLLECTION_NAME, {
+            id: sender,
+            status: 'chatting'
+        });
+
+        if (!user || !user.partner) {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'profilePicture.notChatting') 
+            });
+            return;
+        }
+
+        try {
+            const ppUrl = await bot.profilePictureUrl(sender, 'image');
+            
+            // Send PP to partner
+            await bot.sendMessage(user.partner, { 
+                image: { url: ppUrl },
+                caption: await translate(user.partner, 'profilePicture.caption')
+            });
+
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'profilePicture.sent') 
             });
 
         } catch (ppError) {
             await bot.sendMessage(msg.key.remoteJid, { 
-                text: '❌ Could not fetch profile picture. Make sure you have a profile picture set.' 
+                text: await translate(msg.key.remoteJid, 'profilePicture.unavailable') 
             });
         }
 
@@ -316,6 +1223,137 @@ async function handleSendPP(bot, msg, sender) {
     }
 }
 
+/**
+ * Get the protocol message of an edit or revoke, wherever WhatsApp wrapped it
+ * @param {Object} messageContent - msg.message
+ * @returns {Object|undefined} - The protocolMessage
+ */
+function getProtocolMessage(messageContent) {
+    return messageContent?.protocolMessage || messageContent?.editedMessage?.message?.protocolMessage;
+}
+
+/**
+ * Get the inner content of a view-once image, video or voice note
+ * @param {Object} messageContent - msg.message
+ * @returns {Object|null} - Content holding the media message, or null if not view-once
+ */
+function getViewOnceContent(messageContent) {
+    const wrapper = messageContent?.viewOnceMessage ||
+                    messageContent?.viewOnceMessageV2 ||
+                    messageContent?.viewOnceMessageV2Extension;
+    if (wrapper?.message) return wrapper.message;
+
+    // Newer clients flag the media message itself
+    if (['imageMessage', 'videoMessage', 'audioMessage'].some(type => messageContent?.[type]?.viewOnce)) {
+        return messageContent;
+    }
+    return null;
+}
+
+/**
+ * Re-send view-once media as view-once
+ * The downloaded buffer only lives for this call and the message map
+ * keeps no copy of the content, so the media cannot be opened twice.
+ * @param {Function} sendMessage - The relay's send helper
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {Object} content - The unwrapped view-once content
+ * @param {String} caption - Filtered caption
+ * @returns {Boolean} - True if relayed
+ */
+async function relayViewOnce(sendMessage, bot, msg, sender, content, caption) {
+    try {
+        let buffer = await downloadMessageMedia(bot, msg);
+
+        let relayContent;
+        if (content.imageMessage) {
+            relayContent = { image: buffer, caption, viewOnce: true };
+        } else if (content.videoMessage) {
+            relayContent = { video: buffer, caption, mimetype: content.videoMessage.mimetype, viewOnce: true };
+        } else if (content.audioMessage) {
+            relayContent = { audio: buffer, mimetype: content.audioMessage.mimetype, ptt: true, viewOnce: true };
+        }
+        buffer = null;
+
+        if (!relayContent) {
+            await bot.sendMessage(sender, {
+                text: await translate(sender, 'relay.viewOnceUnsupported')
+            });
+            return false;
+        }
+
+        return await sendMessage('viewOnce', relayContent, { storeContent: false });
+    } catch (mediaError) {
+        console.error('[Relay] Failed to download/send view-once media:', mediaError);
+        await bot.sendMessage(sender, { 
+            text: await translate(sender, 'relay.viewOnceFailed')
+        });
+        return false;
+    }
+}
+
+/**
+ * Mirror a reaction, edit or "delete for everyone" onto the partner's copy
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String} partnerId - The partner's ID
+ * @returns {Boolean} - True if the event was mirrored
+ */
+async function relayMessageEvent(bot, msg, sender, partnerId) {
+    const messageContent = msg.message;
+    const reaction = messageContent.reactionMessage;
+    const protocolMessage = getProtocolMessage(messageContent);
+    const targetId = reaction?.key?.id || protocolMessage?.key?.id;
+
+    const target = await findCounterpart(sender, targetId);
+    if (!target || target.key.remoteJid !== partnerId) {
+        console.log('[Relay] No relayed counterpart for message event:', targetId);
+        return false;
+    }
+
+    if (reaction) {
+        // An empty text removes the reaction
+        await bot.sendMessage(partnerId, { react: { text: reaction.text || '', key: target.key } });
+        return true;
+    }
+
+    // Only the bot's own copies can be edited or deleted
+    if (!target.key.fromMe) return false;
+
+    const { Type } = proto.Message.ProtocolMessage;
+
+    if (protocolMessage.type === Type.REVOKE) {
+        await bot.sendMessage(partnerId, { delete: target.key });
+        return true;
+    }
+
+    if (protocolMessage.type === Type.MESSAGE_EDIT) {
+        // Text edits and caption edits of images, videos and documents
+        const edited = protocolMessage.editedMessage;
+        const newText = edited?.conversation ||
+                        edited?.extendedTextMessage?.text ||
+                        edited?.imageMessage?.caption ||
+                        edited?.videoMessage?.caption ||
+                        edited?.documentMessage?.caption;
+        if (!newText) return false;
+
+        const filtered = await applyFilters(newText, { locale: await getLocale(partnerId) });
+        if (filtered.blocked) {
+            await bot.sendMessage(sender, { text: formatFilterNotice(filtered.matched, await getLocale(sender)) });
+            return false;
+        }
+
+        // WhatsApp applies an edit's text as the caption of a media message
+        await bot.sendMessage(partnerId, { text: filtered.text, edit: target.key });
+        await updateRelayedText(sender, targetId, newText, filtered.text);
+        return true;
+    }
+
+    return false;
+}
+
 /**
  * Handle message relay between anonymous chat partners
  * @param {Object} bot - The WhatsApp bot instance
@@ -334,54 +1372,156 @@ async function relayMessage(bot, msg, sender) {
             return false; // Not in a chat, don't relay
         }
 
+        if (await notifyIfBanned(bot, sender, ['ban', 'mute'])) {
+            return false;
+        }
+
         // Get the message content
         const messageContent = msg.message;
         const partnerId = user.partner;
 
+        const isText = Boolean(
+            messageContent.conversation ||
+            messageContent.extendedTextMessage ||
+            messageContent.reactionMessage ||
+            getProtocolMessage(messageContent)
+        );
+        const rateLimit = checkRateLimit(sender, isText ? 'text' : 'media');
+        if (!rateLimit.allowed) {
+            if (rateLimit.notice) {
+                await bot.sendMessage(sender, { text: await translate(sender, rateLimit.notice, rateLimit.params) });
+            }
+            return false;
+        }
+
+        // Any message keeps the chat alive
+        await database.updateMany(COLLECTION_NAME, {
+            id: { $in: [sender, partnerId] }
+        }, {
+            $set: { lastActivity: new Date() },
+            $unset: { idleWarnedAt: '' }
+        });
+
+        // Reactions, edits and deletions refer to an already relayed message
+        if (messageContent.reactionMessage || getProtocolMessage(messageContent)) {
+            return await relayMessageEvent(bot, msg, sender, partnerId);
+        }
+
+        const viewOnceContent = getViewOnceContent(messageContent);
+        const mediaContent = viewOnceContent || messageContent;
+
+        // Hold media back until both partners opted in with .allowmedia
+        if (CONSENT_MEDIA_TYPES.some(type => mediaContent[type])) {
+            const partner = await database.findOne(COLLECTION_NAME, { id: partnerId });
+
+            if (!user.mediaConsent || !partner?.mediaConsent) {
+                await bot.sendMessage(sender, {
+                    text: await translate(sender, user.mediaConsent ? 'media.blockedWaiting' : 'media.blocked')
+                });
+                return false;
+            }
+        }
+
+        // Run everything the partner will read through the content filter:
+        // text and captions, poll questions and options, contact cards
+        const originalText = messageContent.conversation ||
+                             messageContent.extendedTextMessage?.text ||
+                             mediaContent.imageMessage?.caption ||
+                             mediaContent.videoMessage?.caption ||
+                             mediaContent.documentMessage?.caption ||
+                             '';
+        const poll = messageContent.pollCreationMessage ||
+                     messageContent.pollCreationMessageV2 ||
+                     messageContent.pollCreationMessageV3;
+        const pollTexts = poll ? [poll.name, ...(poll.options || []).map(option => option.optionName)] : [];
+        const contacts = messageContent.contactMessage
+            ? [messageContent.contactMessage]
+            : messageContent.contactsArrayMessage?.contacts || [];
+        // A contact card is there to share a number, so its vCard skips the phone rule
+        const contactTexts = contacts.flatMap(contact => [contact.displayName, { text: contact.vcard, except: ['phone'] }]);
+        const filtered = await applyFiltersToEach([
+            originalText,
+            messageContent.contactsArrayMessage?.displayName,
+            ...pollTexts,
+            ...contactTexts
+        ], { locale: await getLocale(partnerId) });
+
+        if (filtered.blocked) {
+            await bot.sendMessage(sender, { text: formatFilterNotice(filtered.matched, await getLocale(sender)) });
+
+            if (filtered.strike) {
+                const mute = await recordStrike(sender);
+                if (mute) {
+                    await bot.sendMessage(sender, { text: BanManager.formatBanNotice(mute, await getLocale(sender)) });
+                }
+            }
+            return false;
+        }
+
+        const [relayText, contactsName, ...otherTexts] = filtered.texts;
+        const [pollName, ...pollOptions] = otherTexts.splice(0, pollTexts.length);
+
+        // Replies quote the partner's copy of the quoted message
+        const counterpart = await findCounterpart(sender, getContextInfo(messageContent)?.stanzaId);
+        // The partner's app finds the quoted message by its key; Baileys still wants some
+        // content to send along, so a placeholder stands in when no body is stored
+        const quoted = counterpart?.key.remoteJid === partnerId ? {
+            key: counterpart.key,
+            message: counterpart.message || { conversation: await translate(partnerId, 'relay.quotedMessage') }
+        } : undefined;
+
         // Function to handle sending of different message types
-        const sendMessage = async (messageType, content) => {
+        const sendMessage = async (messageType, content, mapOptions = {}) => {
             try {
-                await bot.sendMessage(partnerId, content);
+                const sent = await bot.sendMessage(partnerId, content, { quoted });
+                await recordRelayedMessage(msg, sent, mapOptions);
                 return true;
             } catch (error) {
                 console.error(`[Relay] Failed to send ${messageType}:`, error);
-                await bot.sendMessage(sender, {
-                    text: `❌ Failed to send ${messageType} to your partner. Please try again.`
-                });
-                return false;
+
+                // View-once media is never stored, so it cannot be retried later
+                const queued = mapOptions.storeContent !== false &&
+                               await queueFailedRelay(msg, sender, partnerId, content);
+
+                try {
+                    const locale = await getLocale(sender);
+                    await bot.sendMessage(sender, {
+                        text: t(locale, queued ? 'relay.queued' : 'relay.failed', {
+                            type: t(locale, `relay.types.${messageType}`)
+                        })
+                    });
+                } catch (notifyError) {
+                    console.error('[Relay] Failed to notify sender:', notifyError);
+                }
+                return queued;
             }
         };
 
         // Handle different message types
-        if (messageContent.conversation) {
+        if (viewOnceContent) {
+            return await relayViewOnce(sendMessage, bot, msg, sender, viewOnceContent, relayText);
+        }
+        else if (messageContent.conversation) {
             // Simple text message
-            return await sendMessage('text message', { text: messageContent.conversation });
+            return await sendMessage('text', { text: relayText });
         } 
         else if (messageContent.extendedTextMessage) {
             // Extended text message
-            return await sendMessage('extended text message', { text: messageContent.extendedTextMessage.text });
+            return await sendMessage('text', { text: relayText });
         }
         else if (messageContent.imageMessage) {
             // Image message
             try {
-                const imageBuffer = await downloadMediaMessage(
-                    msg,
-                    'buffer',
-                    {},
-                    { 
-                        logger: console,
-                        reuploadRequest: bot.updateMediaMessage 
-                    }
-                );
+                const imageBuffer = await downloadMessageMedia(bot, msg);
                 
-                return await sendMessage('image message', { 
+                return await sendMessage('image', { 
                     image: imageBuffer,
-                    caption: messageContent.imageMessage.caption || ''
+                    caption: relayText
                 });
             } catch (mediaError) {
                 console.error('[Relay] Failed to download/send image:', mediaError);
                 await bot.sendMessage(sender, { 
-                    text: '📷 [Image could not be relayed]'
+                    text: await translate(sender, 'relay.imageFailed')
                 });
                 return false;
             }
@@ -389,25 +1529,17 @@ async function relayMessage(bot, msg, sender) {
         else if (messageContent.videoMessage) {
             // Video message
             try {
-                const videoBuffer = await downloadMediaMessage(
-                    msg,
-                    'buffer',
-                    {},
-                    { 
-                        logger: console,
-                        reuploadRequest: bot.updateMediaMessage 
-                    }
-                );
+                const videoBuffer = await downloadMessageMedia(bot, msg);
                 
-                return await sendMessage('video message', { 
+                return await sendMessage('video', { 
                     video: videoBuffer,
-                    caption: messageContent.videoMessage.caption || '',
+                    caption: relayText,
                     mimetype: messageContent.videoMessage.mimetype
                 });
             } catch (mediaError) {
                 console.error('[Relay] Failed to download/send video:', mediaError);
                 await bot.sendMessage(sender, { 
-                    text: '🎥 [Video could not be relayed]'
+                    text: await translate(sender, 'relay.videoFailed')
                 });
                 return false;
             }
@@ -415,17 +1547,9 @@ async function relayMessage(bot, msg, sender) {
         else if (messageContent.audioMessage) {
             // Audio/voice message
             try {
-                const audioBuffer = await downloadMediaMessage(
-                    msg,
-                    'buffer',
-                    {},
-                    { 
-                        logger: console,
-                        reuploadRequest: bot.updateMediaMessage 
-                    }
-                );
+                const audioBuffer = await downloadMessageMedia(bot, msg);
                 
-                return await sendMessage('audio message', { 
+                return await sendMessage('audio', { 
                     audio: audioBuffer,
                     mimetype: messageContent.audioMessage.mimetype,
                     ptt: messageContent.audioMessage.ptt || false
@@ -433,7 +1557,7 @@ async function relayMessage(bot, msg, sender) {
             } catch (mediaError) {
                 console.error('[Relay] Failed to download/send audio:', mediaError);
                 await bot.sendMessage(sender, { 
-                    text: '🎵 [Audio message could not be relayed]'
+                    text: await translate(sender, 'relay.audioFailed')
                 });
                 return false;
             }
@@ -441,23 +1565,15 @@ async function relayMessage(bot, msg, sender) {
         else if (messageContent.stickerMessage) {
             // Sticker message
             try {
-                const stickerBuffer = await downloadMediaMessage(
-                    msg,
-                    'buffer',
-                    {},
-                    { 
-                        logger: console,
-                        reuploadRequest: bot.updateMediaMessage 
-                    }
-                );
+                const stickerBuffer = await downloadMessageMedia(bot, msg);
                 
-                return await sendMessage('sticker message', { 
+                return await sendMessage('sticker', { 
                     sticker: stickerBuffer
                 });
             } catch (mediaError) {
                 console.error('[Relay] Failed to download/send sticker:', mediaError);
                 await bot.sendMessage(sender, { 
-                    text: '🌟 [Sticker could not be relayed]'
+                    text: await translate(sender, 'relay.stickerFailed')
                 });
                 return false;
             }
@@ -465,48 +1581,264 @@ async function relayMessage(bot, msg, sender) {
         else if (messageContent.documentMessage) {
             // Document message
             try {
-                const docBuffer = await downloadMediaMessage(
-                    msg,
-                    'buffer',
-                    {},
-                    { 
-                        logger: console,
-                        reuploadRequest: bot.updateMediaMessage 
-                    }
-                );
+                const docBuffer = await downloadMessageMedia(bot, msg);
                 
-                return await sendMessage('document message', { 
+                return await sendMessage('document', { 
                     document: docBuffer,
                     mimetype: messageContent.documentMessage.mimetype,
-                    fileName: messageContent.documentMessage.fileName || 'document'
+                    fileName: messageContent.documentMessage.fileName || 'document',
+                    caption: relayText || undefined
                 });
             } catch (mediaError) {
                 console.error('[Relay] Failed to download/send document:', mediaError);
                 await bot.sendMessage(sender, { 
-                    text: '📄 [Document could not be relayed]'
+                    text: await translate(sender, 'relay.documentFailed')
                 });
                 return false;
             }
+        }
+        else if (messageContent.locationMessage || messageContent.liveLocationMessage) {
+            // Locations can reveal where the sender is, so ask first
+            pendingLocations.set(sender, {
+                msg,
+                partnerId,
+                expiresAt: Date.now() + LOCATION_CONFIRM_TIMEOUT
+            });
+
+            await bot.sendMessage(sender, {
+                text: await translate(sender, 'location.confirm', { minutes: LOCATION_CONFIRM_TIMEOUT / 60000 })
+            });
+            return false;
+        }
+        else if (messageContent.contactMessage || messageContent.contactsArrayMessage) {
+            // Contact card(s), with the filtered names and vCards
+            const relayed = await sendMessage('contact', {
+                contacts: {
+                    displayName: contactsName || otherTexts[0],
+                    contacts: contacts.map((contact, i) => ({
+                        displayName: otherTexts[2 * i],
+                        vcard: otherTexts[2 * i + 1]
+                    }))
+                }
+            });
+
+            if (relayed) {
+                await bot.sendMessage(partnerId, {
+                    text: await translate(partnerId, 'relay.contactReceived')
+                });
+                await bot.sendMessage(sender, {
+                    text: await translate(sender, 'relay.contactSent')
+                });
+            }
+            return relayed;
+        }
+        else if (messageContent.pollCreationMessage || messageContent.pollCreationMessageV2 || messageContent.pollCreationMessageV3) {
+            // Poll - recreated for the partner, votes come back via relayPollVotes
+            return await sendMessage('poll', {
+                poll: {
+                    name: pollName,
+                    values: pollOptions,
+                    selectableCount: poll.selectableOptionsCount || 0
+                }
+            }, { storeContent: true, contentTtl: null }); // votes are decrypted against the stored polls
         } else {
             console.log('[Relay] Unsupported message type:', Object.keys(messageContent));
             
             // Notify sender that this message type is not supported
             await bot.sendMessage(sender, {
-                text: '❗ This message type could not be relayed to your partner.'
+                text: await translate(sender, 'relay.unsupported')
+            });
+            return false;
+        }
+    } catch (error) {
+        console.error('[Relay] Error:', error);
+        return false;
+    }
+}
+
+/**
+ * Handle the sendloc command - relay a location waiting for confirmation
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String[]} args - `cancel` discards the location
+ */
+async function handleSendLocation(bot, msg, sender, args = []) {
+    try {
+        const pending = pendingLocations.get(sender);
+        pendingLocations.delete(sender);
+
+        if (!pending || pending.expiresAt < Date.now()) {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'location.nonePending') 
+            });
+            return;
+        }
+
+        if (args[0] === 'cancel') {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'location.discarded') 
+            });
+            return;
+        }
+
+        const user = await database.findOne(COLLECTION_NAME, {
+            id: sender,
+            status: 'chatting'
+        });
+
+        if (!user || user.partner !== pending.partnerId) {
+            await bot.sendMessage(msg.key.remoteJid, { 
+                text: await translate(msg.key.remoteJid, 'location.chatEnded') 
+            });
+            return;
+        }
+
+        // Live locations are sent as a one-off snapshot
+        const location = pending.msg.message.locationMessage || pending.msg.message.liveLocationMessage;
+        const sent = await bot.sendMessage(pending.partnerId, {
+            location: {
+                degreesLatitude: location.degreesLatitude,
+                degreesLongitude: location.degreesLongitude,
+                name: location.name,
+                address: location.address
+            }
+        });
+        await recordRelayedMessage(pending.msg, sent);
+
+        await bot.sendMessage(msg.key.remoteJid, { 
+            text: await translate(msg.key.remoteJid, 'location.sent') 
+        });
+    } catch (error) {
+        console.error('[SendLocation] Error:', error);
+        throw error;
+    }
+}
+
+/**
+ * Tell the poll creator how their partner voted
+ * Baileys decrypts votes on the bot's copy of a poll and emits them
+ * as pollUpdates on messages.update.
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} key - Key of the bot's copy of the poll
+ * @param {Object[]} pollUpdates - Decrypted poll updates
+ */
+async function relayPollVotes(bot, key, pollUpdates) {
+    try {
+        // The bot's copy lives in the voter's chat; its counterpart is the creator's poll
+        const original = await findCounterpart(key.remoteJid, key.id);
+
+        if (!original?.message) {
+            console.log('[Poll] Vote for an unknown poll:', key.id);
+            return;
+        }
+
+        const voter = await database.findOne(COLLECTION_NAME, { id: key.remoteJid, status: 'chatting' });
+        if (!voter || voter.partner !== original.key.remoteJid) return;
+
+        // Votes name the options of the bot's copy, which may be filtered;
+        // report them to the creator by position, as they wrote them
+        const relayedPoll = await getStoredMessage(key);
+        const votes = getAggregateVotesInPollMessage({
+            message: relayedPoll || original.message,
+            pollUpdates
+        }, bot.user?.id);
+
+        const poll = original.message.pollCreationMessage ||
+                     original.message.pollCreationMessageV2 ||
+                     original.message.pollCreationMessageV3;
+        const chosen = votes
+            .map((option, i) => option.voters.length > 0 ? poll?.options?.[i]?.optionName ?? option.name : null)
+            .filter(Boolean);
+
+        await bot.sendMessage(original.key.remoteJid, {
+            text: chosen.length
+                ? await translate(original.key.remoteJid, 'poll.voted', { poll: poll?.name, options: chosen.join(', ') })
+                : await translate(original.key.remoteJid, 'poll.unvoted', { poll: poll?.name })
+        }, { quoted: original });
+    } catch (error) {
+        console.error('[Poll] Error relaying votes:', error);
+    }
+}
+
+/**
+ * Convert relay content into a queue document for later delivery
+ * @param {Object} content - Content passed to bot.sendMessage
+ * @returns {Object|null} - Queue fields, or null if the content cannot be queued
+ */
+function toQueuedContent(content) {
+    if (content.text !== undefined && !content.edit) {
+        return { messageType: 'text', content: content.text };
+    }
+    if (content.image) {
+        return { messageType: 'image', mediaBuffer: content.image, caption: content.caption || '' };
+    }
+    if (content.video) {
+        return { messageType: 'video', mediaBuffer: content.video, caption: content.caption || '', mimetype: content.mimetype };
+    }
+    if (content.audio) {
+        return { messageType: 'audio', mediaBuffer: content.audio, mimetype: content.mimetype, ptt: content.ptt };
+    }
+    if (content.sticker) {
+        return { messageType: 'sticker', mediaBuffer: content.sticker };
+    }
+    if (content.document) {
+        return { messageType: 'document', mediaBuffer: content.document, content: content.fileName, mimetype: content.mimetype };
+    }
+    return null;
+}
+
+/**
+ * Persist a relay that failed so processMessageQueue can deliver it later
+ * @param {Object} msg - The original message
+ * @param {String} sender - The sender's ID
+ * @param {String} recipient - The partner's ID
+ * @param {Object} content - Content passed to bot.sendMessage
+ * @returns {Boolean} - True if the message was queued
+ */
+async function queueFailedRelay(msg, sender, recipient, content) {
+    const { mediaBuffer, ...queued } = toQueuedContent(content) || {};
+    if (!queued.messageType) return false;
+
+    try {
+        // Media goes to the media store; the queue document only references it
+        if (mediaBuffer) {
+            queued.mediaId = await saveMedia(mediaBuffer, {
+                filename: queued.content || queued.messageType,
+                contentType: queued.mimetype,
+                purpose: 'queue',
+                ttl: MEDIA_TTL.queue
             });
-            return false;
         }
+
+        await database.addToMessageQueue({
+            sender,
+            recipient,
+            ...queued,
+            originalKey: msg.key,
+            status: 'pending',
+            retries: 0,
+            timestamp: new Date(),
+            nextAttemptAt: new Date()
+        });
+        return true;
     } catch (error) {
-        console.error('[Relay] Error:', error);
+        console.error('[Queue] Failed to queue message:', error);
         return false;
     }
 }
 
+let queueRunning = false;
+
 /**
  * Process any pending messages in the queue
  * @param {Object} bot - The WhatsApp bot instance
  */
 async function processMessageQueue(bot) {
+    // The interval and a reconnect can both trigger a run
+    if (queueRunning) return;
+    queueRunning = true;
+
     try {
         const pendingMessages = await database.getPendingMessages();
         console.log(`[Queue] Processing ${pendingMessages.length} pending messages`);
@@ -519,68 +1851,88 @@ async function processMessageQueue(bot) {
             try {
                 // Check if chat is still valid
                 const sender = await database.findOne(COLLECTION_NAME, { id: queuedMsg.sender });
-                if (!sender || sender.partner !== queuedMsg.recipient || sender.status !== 'chatting') {
-                    // Chat no longer valid, mark message as cancelled
+                const chatEnded = !sender || sender.partner !== queuedMsg.recipient || sender.status !== 'chatting';
+
+                // A ban or mute since the message was queued holds it back too
+                const ban = !chatEnded && await BanManager.getActiveBan(queuedMsg.sender, ['ban', 'mute']);
+
+                if (chatEnded || ban) {
                     await database.updateOne('message_queue', 
                         { _id: queuedMsg._id },
                         { $set: {
                             status: 'cancelled',
-                            reason: 'chat_ended'
+                            reason: ban ? `sender_${ban.type}` : 'chat_ended'
                         }}
                     );
+                    if (queuedMsg.mediaId) await deleteMedia(queuedMsg.mediaId);
                     continue;
                 }
                 
                 // Attempt delivery based on message type
-                const deliveryNote = '\n\n_[This message was delivered after a connection issue]_';
+                const deliveryNote = await translate(queuedMsg.recipient, 'queue.deliveryNote');
+                const mediaBuffer = queuedMsg.mediaId ? await loadMedia(queuedMsg.mediaId) : null;
+                if (queuedMsg.mediaId && !mediaBuffer) {
+                    throw new Error(`Media ${queuedMsg.mediaId} is no longer available`);
+                }
+                let sent;
                 
                 switch (queuedMsg.messageType) {
                     case 'text':
-                        await bot.sendMessage(queuedMsg.recipient, { 
+                        sent = await bot.sendMessage(queuedMsg.recipient, { 
                             text: `${queuedMsg.content}${deliveryNote}` 
                         });
                         break;
                         
                     case 'image':
-                        await bot.sendMessage(queuedMsg.recipient, { 
-                            image: queuedMsg.mediaBuffer,
+                        sent = await bot.sendMessage(queuedMsg.recipient, { 
+                            image: mediaBuffer,
                             caption: queuedMsg.caption ? `${queuedMsg.caption}${deliveryNote}` : deliveryNote
                         });
                         break;
                         
                     case 'video':
-                        await bot.sendMessage(queuedMsg.recipient, { 
-                            video: queuedMsg.mediaBuffer,
+                        sent = await bot.sendMessage(queuedMsg.recipient, { 
+                            video: mediaBuffer,
+                            mimetype: queuedMsg.mimetype,
                             caption: queuedMsg.caption ? `${queuedMsg.caption}${deliveryNote}` : deliveryNote
                         });
                         break;
                         
                     case 'audio':
-                        await bot.sendMessage(queuedMsg.recipient, { 
-                            audio: queuedMsg.mediaBuffer,
-                            ptt: true // Voice note
+                        sent = await bot.sendMessage(queuedMsg.recipient, { 
+                            audio: mediaBuffer,
+                            mimetype: queuedMsg.mimetype,
+                            ptt: queuedMsg.ptt ?? true // Voice note
                         });
                         break;
                         
                     case 'sticker':
-                        await bot.sendMessage(queuedMsg.recipient, { 
-                            sticker: queuedMsg.mediaBuffer
+                        sent = await bot.sendMessage(queuedMsg.recipient, { 
+                            sticker: mediaBuffer
                         });
                         break;
                         
                     case 'document':
-                        await bot.sendMessage(queuedMsg.recipient, { 
-                            document: queuedMsg.mediaBuffer,
+                        sent = await bot.sendMessage(queuedMsg.recipient, { 
+                            document: mediaBuffer,
+                            mimetype: queuedMsg.mimetype,
                             fileName: queuedMsg.content || 'document'
                         });
                         break;
                         
                     default:
                         console.warn(`[Queue] Unsupported message type: ${queuedMsg.messageType}`);
+                        await database.updateOne('message_queue', 
+                            { _id: queuedMsg._id },
+                            { $set: {
+                                status: 'cancelled',
+                                reason: 'unsupported_type'
+                            }}
+                        );
                         continue;
                 }
                 
-                // Mark as delivered
+                // Mark as delivered and drop the media, it is no longer needed
                 await database.updateOne('message_queue', 
                     { _id: queuedMsg._id },
                     { $set: {
@@ -588,11 +1940,17 @@ async function processMessageQueue(bot) {
                         deliveredAt: new Date()
                     }}
                 );
+                if (queuedMsg.mediaId) await deleteMedia(queuedMsg.mediaId);
+
+                // Reactions and replies to the original can find the delivered copy
+                if (queuedMsg.originalKey) {
+                    await recordRelayedMessage({ key: queuedMsg.originalKey }, sent, { storeContent: false });
+                }
                 
                 // Notify sender of successful delivery
                 try {
                     await bot.sendMessage(queuedMsg.sender, {
-                        text: '✅ Your message has been delivered.'
+                        text: await translate(queuedMsg.sender, 'queue.delivered')
                     });
                 } catch (notifyError) {
                     console.error('[Queue] Failed to notify sender:', notifyError);
@@ -602,13 +1960,16 @@ async function processMessageQueue(bot) {
                 
                 // Update retry count
                 const newRetryCount = (queuedMsg.retries || 0) + 1;
-                if (newRetryCount < 3) { // Max 3 retries
+                if (newRetryCount < QUEUE_MAX_RETRIES) {
+                    // Back off exponentially: base, 2x base, 4x base, ...
+                    const delay = QUEUE_RETRY_DELAY * 2 ** (newRetryCount - 1);
                     await database.updateOne('message_queue', 
                         { _id: queuedMsg._id },
                         { $set: {
                             status: 'failed',
                             retries: newRetryCount,
                             lastAttempt: new Date(),
+                            nextAttemptAt: new Date(Date.now() + delay),
                             error: error.message
                         }}
                     );
@@ -622,11 +1983,12 @@ async function processMessageQueue(bot) {
                             error: 'Max retries exceeded'
                         }}
                     );
+                    if (queuedMsg.mediaId) await deleteMedia(queuedMsg.mediaId);
                     
                     // Notify sender of permanent failure
                     try {
                         await bot.sendMessage(queuedMsg.sender, {
-                            text: '❌ Your message could not be delivered after multiple attempts.'
+                            text: await translate(queuedMsg.sender, 'queue.failed')
                         });
                     } catch (notifyError) {
                         console.error('[Queue] Failed to notify sender of permanent failure:', notifyError);
@@ -636,246 +1998,649 @@ async function processMessageQueue(bot) {
         }
     } catch (error) {
         console.error('[Queue] Error processing message queue:', error);
+    } finally {
+        queueRunning = false;
     }
 }
 
 
 /**
- * Process commands for anonymous chat
- * @param {Object} bot - The WhatsApp bot instance
- * @param {Object} msg - The message object
- * @param {String} command - The command (without prefix)
- * @param {String} sender - The sender's ID
+ * Add an advertisement: .addad <type> <title> | <content> | <priority> | <days_active>
+ * Send it as the caption of an image or video to attach that media.
  */
-async function processCommand(bot, msg, sender) {
-    console.log("[Debug] processCommand called with sender:", sender);
-    
-    // Ekstrak body dengan aman
-    const msgBody = msg.body || 
-                  (msg.message?.conversation) || 
-                  (msg.message?.extendedTextMessage?.text) || 
-                  (msg.message?.imageMessage?.caption) || 
-                  '';
-    
-    const command = msgBody.toLowerCase().trim();
-    console.log("[Debug] Command extracted:", command);
-    
-    // Check if user is admin
-    const isAdmin = await checkIsAdmin(bot, sender);
-    console.log("[Debug] Is admin check result:", isAdmin);
-    
-    if (isAdmin) {
-        console.log("[Debug] User is admin, processing admin commands");
-        
-        if (command.startsWith('.addad')) {
-            console.log("[Debug] Processing .addad command");
-            const fullCommand = msgBody.slice(7).trim(); // Hapus '.addad ' dan gunakan msgBody asli, bukan command
-            const parts = fullCommand.split('|').map(p => p.trim());
-            
-            if (parts.length !== 4) {
-                await bot.sendMessage(sender, {
-                    text: ' Format salah!\n\nFormat yang benar:\n.addad <type> <title> | <content> | <priority> | <days_active>\n\n' +
-                        'Contoh:\n.addad start Selamat Datang |  Selamat datang di bot chat anonymous! | 5 | 30\n\n' +
-                        'Types yang tersedia: start, search, chat, end'
-                });
-                return true;
-            }
-        
-            const [typeAndTitle, content, priority, daysActive] = parts;
-            
-            // Gunakan msgBody asli untuk mendapatkan type dan title
-            const typeAndTitleOriginal = msgBody.slice(7).trim().split('|')[0].trim();
-            const [type, ...titleParts] = typeAndTitleOriginal.split(' ');
-            
-            // Validasi type
-            const validTypes = ['start', 'search', 'chat', 'end'];
-            if (!validTypes.includes(type.toLowerCase())) {
-                await bot.sendMessage(sender, {
-                    text: ' Type tidak valid!\n\nType yang tersedia:\nstart, search, chat, end'
-                });
-                return true;
-            }
-            
-            const title = titleParts.join(' ');
-            
-            // Validasi priority
-            const priorityNum = parseInt(priority);
-            if (isNaN(priorityNum) || priorityNum < 1 || priorityNum > 10) {
-                await bot.sendMessage(sender, {
-                    text: ' Priority harus berupa angka antara 1-10'
-                });
-                return true;
-            }
-            
-            // Validasi days_active
-            const days = parseInt(daysActive);
-            if (isNaN(days) || days < 1) {
-                await bot.sendMessage(sender, {
-                    text: ' days_active harus berupa angka positif'
-                });
-                return true;
-            }
-        
-            // Gunakan content asli tanpa mengubah case
-            const contentOriginal = msgBody.slice(7).trim().split('|')[1].trim();
-        
-            try {
-                const success = await AdvertiseManager.addAdvertisement(
-                    type.toLowerCase(), 
-                    title,
-                    contentOriginal, // Gunakan content asli
-                    priorityNum,
-                    days
-                );
-                await bot.sendMessage(sender, {
-                    text: success ? ' Iklan berhasil ditambahkan!' : ' Gagal menambahkan iklan'
-                });
-            } catch (error) {
-                console.error('[Error] Failed to add advertisement:', error);
-                await bot.sendMessage(sender, {
-                    text: ' Terjadi kesalahan saat menambahkan iklan'
-                });
-            }
-            return true;
-        }
-        
-        if (command === '.listads') {
-            const ads = await AdvertiseManager.listAdvertisements();
-            if (!ads.length) {
-                await bot.sendMessage(sender, {
-                    text: ' No advertisements found'
-                });
-                return true;
-            }
+async function handleAddAd(bot, msg, sender, args, text) {
+    const parts = text.split('|').map(p => p.trim());
 
-            const adList = ads.map(ad => 
-                `ID: ${ad._id}\n` +
-                `Type: ${ad.type}\n` +
-                `Title: ${ad.title}\n` +
-                `Active: ${ad.active ? 'Yes' : 'No'}\n` +
-                `Priority: ${ad.priority}\n` +
-                `Shows: ${ad.showCount || 0}\n` +
-                `Expires: ${ad.endDate.toLocaleDateString()}\n`
-            ).join('\n---\n');
+    if (parts.length !== 4) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'ads.addUsage')
+        });
+        return;
+    }
 
-            await bot.sendMessage(sender, {
-                text: ` *Advertisement List*\n\n${adList}`
-            });
-            return true;
-        }
+    const [typeAndTitle, content, priority, daysActive] = parts;
+    const [type, ...titleParts] = typeAndTitle.split(' ');
 
-        if (command.startsWith('.delad')) {
-            const adId = command.slice(7).trim();
-            const success = await AdvertiseManager.deleteAdvertisement(adId);
-            await bot.sendMessage(sender, {
-                text: success ? ' Advertisement deleted successfully!' : ' Failed to delete advertisement'
-            });
-            return true;
-        }
+    // Validasi type
+    const validTypes = ['start', 'search', 'chat', 'end'];
+    if (!validTypes.includes(type.toLowerCase())) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'ads.invalidType')
+        });
+        return;
+    }
 
-        if (command === '.adstats') {
-            const stats = await AdvertiseManager.getStats();
-            if (!stats) {
-                await bot.sendMessage(sender, {
-                    text: ' Failed to get advertisement statistics'
-                });
-                return true;
-            }
+    const title = titleParts.join(' ');
 
-            const statsMessage = 
-                ` *Advertisement Statistics*\n\n` +
-                `Total Ads: ${stats.total}\n` +
-                `Active Ads: ${stats.active}\n` +
-                `Total Shows: ${stats.totalShows}\n\n` +
-                `*By Type:*\n` +
-                Object.entries(stats.byType)
-                    .map(([type, count]) => `${type}: ${count}`)
-                    .join('\n');
+    // Validasi priority
+    const priorityNum = parseInt(priority);
+    if (isNaN(priorityNum) || priorityNum < 1 || priorityNum > 10) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'ads.invalidPriority')
+        });
+        return;
+    }
 
-            await bot.sendMessage(sender, {
-                text: statsMessage
-            });
-            return true;
-        }
+    // Validasi days_active
+    const days = parseInt(daysActive);
+    if (isNaN(days) || days < 1) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'ads.invalidDays')
+        });
+        return;
     }
-    
+
     try {
-        // Ekstrak perintah tanpa awalan
-        const cleanCommand = command.startsWith('.') ? command.slice(1) : command;
-        
-        switch (cleanCommand) {
-            case 'adstats':
-                const stats = await AdvertiseManager.getStats();
-                await bot.sendMessage(msg.key.remoteJid, { text: stats });
-                return true;
-                
-            case 'delad':
-                const adId = args[0];
-                if (!adId) {
-                    await bot.sendMessage(msg.key.remoteJid, { 
-                        text: '❌ Please provide an advertisement ID. Usage: .delad [id]' 
-                    });
-                    return true;
-                }
-                
-                const result = await AdvertiseManager.deleteAdvertisement(adId);
-                
-                if (result.success) {
-                    await bot.sendMessage(msg.key.remoteJid, { 
-                        text: `✅ ${result.message}` 
-                    });
-                } else {
-                    await bot.sendMessage(msg.key.remoteJid, { 
-                        text: `❌ ${result.message}` 
-                    });
-                }
-                return true;
-            
-            case 'search':
-                await handleSearch(bot, msg, sender);
-                return true;
-            case 'next':
-                await handleNext(bot, msg, sender);
-                return true;
-            case 'stop':
-                await handleStop(bot, msg, sender);
-                return true;
-            case 'sendpp':
-                await handleSendPP(bot, msg, sender);
-                return true;
-            default:
-                return false;
-        }
+        // Iklan dengan gambar/video: kirim .addad sebagai caption media
+        const media = (msg.message?.imageMessage || msg.message?.videoMessage)
+            ? await saveMessageMedia(bot, msg, {
+                purpose: 'ad',
+                expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+            })
+            : null;
+
+        const success = await AdvertiseManager.addAdvertisement(
+            type.toLowerCase(),
+            title,
+            content,
+            priorityNum,
+            days,
+            media
+        );
+        await bot.sendMessage(sender, {
+            text: await translate(sender, success ? 'ads.added' : 'ads.addFailed')
+        });
     } catch (error) {
-        console.error(`[Error] Failed to process command ${command}:`, error);
-        await bot.sendMessage(sender, { 
-            text: ' An error occurred while processing your command. Please try again.' 
+        console.error('[Error] Failed to add advertisement:', error);
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'ads.addError')
         });
-        return true;
     }
 }
 
+async function handleListAds(bot, msg, sender) {
+    const ads = await AdvertiseManager.listAdvertisements();
+    if (!ads.length) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'ads.none')
+        });
+        return;
+    }
+
+    const locale = await getLocale(sender);
+    const adList = ads.map(ad => t(locale, 'ads.listItem', {
+        id: ad._id,
+        type: ad.type,
+        title: ad.title,
+        active: t(locale, ad.active ? 'common.yes' : 'common.no'),
+        priority: ad.priority,
+        shows: ad.showCount || 0,
+        expires: ad.endDate.toLocaleDateString(locale)
+    })).join('\n---\n');
+
+    await bot.sendMessage(sender, {
+        text: t(locale, 'ads.list', { ads: adList })
+    });
+}
+
+async function handleDeleteAd(bot, msg, sender, args) {
+    const result = await AdvertiseManager.deleteAdvertisement(args[0]);
+    await bot.sendMessage(sender, {
+        text: await translate(sender, result.messageKey, result.params)
+    });
+}
+
+async function handleAdStats(bot, msg, sender) {
+    const stats = await AdvertiseManager.getStats(await getLocale(sender));
+    await bot.sendMessage(sender, { text: stats });
+}
+
+async function handleListReports(bot, msg, sender) {
+    const reports = await ReportManager.listPendingReports();
+    if (!reports.length) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'moderation.noReports')
+        });
+        return;
+    }
+
+    const locale = await getLocale(sender);
+    const reportList = reports.map(report => ReportManager.formatReportSummary(report, locale)).join('\n---\n');
+
+    await bot.sendMessage(sender, {
+        text: t(locale, 'moderation.reportList', { count: reports.length, reports: reportList })
+    });
+}
+
+async function handleViewReport(bot, msg, sender, args) {
+    const report = await ReportManager.getReport(args[0]);
+    const locale = await getLocale(sender);
+    await bot.sendMessage(sender, {
+        text: report ? ReportManager.formatReportDetail(report, locale) : t(locale, 'moderation.reportNotFound')
+    });
+
+    if (report?.evidence?.media) {
+        await ReportManager.sendEvidence(bot, sender, report);
+    }
+}
+
+/**
+ * Close a report as resolved or dismissed
+ * @param {String} status - 'resolved' or 'dismissed'
+ */
+async function handleCloseReport(bot, sender, args, status) {
+    const [reportId, ...noteParts] = args;
+    const result = await ReportManager.closeReport(reportId, status, noteParts.join(' '));
+    await bot.sendMessage(sender, {
+        text: await translate(sender, result.messageKey, result.params)
+    });
+}
+
+/**
+ * Ban or mute a user for a while
+ * @param {String} type - 'ban' or 'mute'
+ */
+async function handleBan(bot, sender, args, type) {
+    const [number, durationText, ...reasonParts] = args;
+    const userId = toUserJid(number);
+    const duration = BanManager.parseDuration(durationText);
+
+    if (!userId || duration === undefined) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'moderation.banUsage', { command: type })
+        });
+        return;
+    }
+
+    const ban = await BanManager.addBan(userId, type, duration, reasonParts.join(' '), sender);
+
+    // A ban also ends the current chat and any running search
+    if (type === 'ban') {
+        const target = await database.findOne(COLLECTION_NAME, { id: userId });
+        if (target?.status === 'chatting' && target.partner) {
+            await bot.sendMessage(target.partner, {
+                text: await translate(target.partner, 'chat.partnerEnded')
+            });
+            await endChat(userId, target.partner);
+        } else {
+            // Also release a user the matching sweep holds, so its claim fails
+            await database.updateOne(COLLECTION_NAME, { id: userId, status: { $in: ['waiting', 'matching'] } }, {
+                $set: { status: 'idle', partner: null },
+                $unset: { matchingUntil: '' }
+            });
+        }
+    }
+
+    await bot.sendMessage(userId, { text: BanManager.formatBanNotice(ban, await getLocale(userId)) });
+
+    const locale = await getLocale(sender);
+    await bot.sendMessage(sender, {
+        text: t(locale, type === 'ban' ? 'moderation.banned' : 'moderation.muted', {
+            user: userId.split('@')[0],
+            expiry: BanManager.formatExpiry(ban, locale)
+        })
+    });
+}
+
+async function handleUnban(bot, msg, sender, args) {
+    const userId = toUserJid(args[0]);
+    if (!userId) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'moderation.unbanUsage')
+        });
+        return;
+    }
+
+    const removed = await BanManager.removeBans(userId);
+    if (removed) {
+        await bot.sendMessage(userId, { text: await translate(userId, 'moderation.banLifted') });
+    }
+    await bot.sendMessage(sender, {
+        text: await translate(sender, removed ? 'moderation.unbanned' : 'moderation.notBanned', { user: userId.split('@')[0] })
+    });
+}
+
+async function handleBanList(bot, msg, sender) {
+    const bans = await BanManager.listActiveBans();
+    if (!bans.length) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'moderation.noBans')
+        });
+        return;
+    }
+
+    const locale = await getLocale(sender);
+    const banList = bans.map(ban => t(locale, 'moderation.banListItem', {
+        user: ban.userId.split('@')[0],
+        type: ban.type,
+        reason: ban.reason || '-',
+        expiry: BanManager.formatExpiry(ban, locale)
+    })).join('\n---\n');
+
+    await bot.sendMessage(sender, {
+        text: t(locale, 'moderation.banList', { count: bans.length, bans: banList })
+    });
+}
+
+async function handleAddWord(bot, msg, sender, args) {
+    const word = args.join(' ');
+    const added = await addBannedWord(word);
+    await bot.sendMessage(sender, {
+        text: await translate(sender, added ? 'moderation.wordAdded' : 'moderation.wordExists', { word })
+    });
+}
+
+async function handleDeleteWord(bot, msg, sender, args) {
+    const word = args.join(' ');
+    const removed = await removeBannedWord(word);
+    await bot.sendMessage(sender, {
+        text: await translate(sender, removed ? 'moderation.wordRemoved' : 'moderation.wordMissing', { word })
+    });
+}
+
+async function handleWordList(bot, msg, sender) {
+    const words = await listBannedWords();
+    await bot.sendMessage(sender, {
+        text: words.length
+            ? await translate(sender, 'moderation.wordList', { count: words.length, words: words.join(', ') })
+            : await translate(sender, 'moderation.noWords')
+    });
+}
+
+async function handleUnsuspend(bot, msg, sender, args) {
+    const userId = toUserJid(args[0]);
+    if (!userId) {
+        await bot.sendMessage(sender, {
+            text: await translate(sender, 'moderation.unsuspendUsage')
+        });
+        return;
+    }
+
+    const lifted = await ReportManager.unsuspendUser(userId);
+    await bot.sendMessage(sender, {
+        text: await translate(sender, lifted ? 'moderation.unsuspended' : 'moderation.notSuspended', { user: userId.split('@')[0] })
+    });
+}
+
+/**
+ * Run .search or .next, at most once per cooldown
+ * Only a search or next that went through starts the cooldown.
+ */
+async function handleSearchCommand(bot, msg, sender, args, name) {
+    const waitMs = checkCooldown(sender, 'search');
+    if (waitMs > 0) {
+        await bot.sendMessage(msg.key.remoteJid, {
+            text: await translate(msg.key.remoteJid, 'search.cooldown', { seconds: Math.ceil(waitMs / 1000), command: name })
+        });
+        return;
+    }
+
+    const done = name === 'search'
+        ? await handleSearch(bot, msg, sender, args)
+        : await handleNext(bot, msg, sender);
+
+    if (done) startCooldown(sender, 'search', SEARCH_COOLDOWN);
+}
+
+async function handleTemplate(bot, msg, sender, args) {
+    const [name, lang] = args;
+    const locale = await getLocale(sender);
+
+    if (!name) {
+        const lines = [];
+        for (const templateName of TEMPLATE_NAMES) {
+            const states = [];
+            for (const templateLocale of LOCALES) {
+                const { custom } = await getTemplate(templateName, templateLocale);
+                states.push(`${templateLocale}: ${t(locale, custom ? 'templates.custom' : 'templates.default')}`);
+            }
+            lines.push(t(locale, 'templates.listItem', { name: templateName, states: states.join(', ') }));
+        }
+        await bot.sendMessage(sender, { text: t(locale, 'templates.list', { templates: lines.join('\n') }) });
+        return;
+    }
+
+    const templateLocale = lang || locale;
+    const template = await getTemplate(name, templateLocale);
+    await bot.sendMessage(sender, {
+        text: t(locale, 'templates.preview', {
+            name,
+            locale: templateLocale,
+            source: t(locale, template.custom ? 'templates.custom' : 'templates.default'),
+            placeholders: template.placeholders.map(placeholder => `{${placeholder}}`).join(', ') || '-',
+            text: template.text
+        })
+    });
+
+    // Send the rendered text on its own so it looks exactly as users see it
+    await bot.sendMessage(sender, {
+        text: name === 'menu' ? formatHelp(templateLocale) : renderTemplate(name, templateLocale)
+    });
+}
+
+async function handleSetTemplate(bot, msg, sender, args, text) {
+    const [name, lang] = args;
+    // Keep the line breaks of the new text, which the split arguments lose
+    const body = text.replace(/^\S+\s+\S+\s*/, '');
+
+    const result = await setTemplate(name, lang, body, sender);
+    await bot.sendMessage(sender, {
+        text: await translate(sender, result.messageKey, result.params)
+    });
+}
+
+async function handleResetTemplate(bot, msg, sender, args) {
+    const [name, lang] = args;
+    const removed = await resetTemplate(name, lang ? [lang] : LOCALES);
+    await bot.sendMessage(sender, {
+        text: await translate(sender, removed ? 'templates.reset' : 'templates.notCustom', { name })
+    });
+}
+
 // Help command handler
 async function sendHelpMessage(bot, msg) {
-    const helpText = `🤖 *Anonymous Chat Bot*\n\n` +
-                    `Available Commands:\n\n` +
-                    `*.search* - Find a chat partner\n` +
-                    `*.next* - Find a new partner\n` +
-                    `*.stop* - End the chat\n` +
-                    `*.sendpp* - Share your profile picture\n` +
-                    `*.help* - Show this help message\n\n` +
-                    `Start chatting now by typing *.search*!`;
+    const sender = msg.key.remoteJid;
+    await bot.sendMessage(sender, { text: formatHelp(await getLocale(sender), checkIsAdmin(bot, sender)) });
+}
+
+/**
+ * Handle the lang command - pick the language of the bot's messages
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String[]} args - A locale code such as `id` or `en`
+ */
+async function handleLanguage(bot, msg, sender, args = []) {
+    const [locale] = args;
+
+    if (!locale) {
+        await bot.sendMessage(msg.key.remoteJid, {
+            text: await translate(sender, 'language.current', { locales: LOCALES.join('|') })
+        });
+        return;
+    }
+
+    await setLocale(sender, locale);
+    await bot.sendMessage(msg.key.remoteJid, { text: t(locale, 'language.changed') });
+}
+
+// User commands, in the order they are listed in the help
+registerCommand({
+    name: 'search',
+    args: [{ name: 'tags', rest: true }],
+    help: 'commands.search',
+    handler: (bot, msg, sender, args) => handleSearchCommand(bot, msg, sender, args, 'search')
+});
+registerCommand({
+    name: 'next',
+    help: 'commands.next',
+    handler: (bot, msg, sender, args) => handleSearchCommand(bot, msg, sender, args, 'next')
+});
+registerCommand({
+    name: 'stop',
+    help: 'commands.stop',
+    handler: handleStop
+});
+registerCommand({
+    name: 'status',
+    help: 'commands.status',
+    handler: handleStatus
+});
+registerCommand({
+    name: 'block',
+    help: 'commands.block',
+    handler: handleBlock
+});
+registerCommand({
+    name: 'allowmedia',
+    args: [{ name: 'setting', choices: ['on', 'off'] }],
+    help: 'commands.allowmedia',
+    handler: handleAllowMedia
+});
+registerCommand({
+    name: 'sendloc',
+    args: [{ name: 'action', choices: ['cancel'] }],
+    help: 'commands.sendloc',
+    handler: handleSendLocation
+});
+registerCommand({
+    name: 'presence',
+    args: [{ name: 'setting', choices: ['on', 'off', 'default'] }],
+    help: 'commands.presence',
+    handler: handlePresence
+});
+registerCommand({
+    name: 'receipts',
+    args: [{ name: 'setting', choices: ['on', 'off'] }],
+    help: 'commands.receipts',
+    handler: handleReceipts
+});
+registerCommand({
+    name: 'report',
+    args: [{ name: 'reason', rest: true }],
+    help: 'commands.report',
+    handler: handleReport
+});
+registerCommand({
+    name: 'sendpp',
+    help: 'commands.sendpp',
+    handler: handleSendPP
+});
+registerCommand({
+    name: 'profile',
+    args: [{ name: 'set|pref|clear|help', rest: true }],
+    help: 'commands.profile',
+    handler: handleProfile
+});
+registerCommand({
+    name: 'lang',
+    args: [{ name: 'locale', choices: LOCALES }],
+    help: 'commands.lang',
+    handler: handleLanguage
+});
+registerCommand({
+    name: 'menu',
+    aliases: ['help'],
+    help: 'commands.menu',
+    handler: sendHelpMessage
+});
+
+// Admin commands
+registerCommand({
+    name: 'addad',
+    usage: '<type> <title> | <content> | <priority> | <days_active>',
+    adminOnly: true,
+    help: 'commands.addad',
+    handler: handleAddAd
+});
+registerCommand({
+    name: 'listads',
+    adminOnly: true,
+    help: 'commands.listads',
+    handler: handleListAds
+});
+registerCommand({
+    name: 'delad',
+    args: [{ name: 'id', required: true }],
+    adminOnly: true,
+    help: 'commands.delad',
+    handler: handleDeleteAd
+});
+registerCommand({
+    name: 'adstats',
+    adminOnly: true,
+    help: 'commands.adstats',
+    handler: handleAdStats
+});
+registerCommand({
+    name: 'reports',
+    adminOnly: true,
+    help: 'commands.reports',
+    handler: handleListReports
+});
+registerCommand({
+    name: 'viewreport',
+    args: [{ name: 'id', required: true }],
+    adminOnly: true,
+    help: 'commands.viewreport',
+    handler: handleViewReport
+});
+registerCommand({
+    name: 'resolve',
+    args: [{ name: 'id', required: true }, { name: 'note', rest: true }],
+    adminOnly: true,
+    help: 'commands.resolve',
+    handler: (bot, msg, sender, args) => handleCloseReport(bot, sender, args, 'resolved')
+});
+registerCommand({
+    name: 'dismiss',
+    args: [{ name: 'id', required: true }, { name: 'note', rest: true }],
+    adminOnly: true,
+    help: 'commands.dismiss',
+    handler: (bot, msg, sender, args) => handleCloseReport(bot, sender, args, 'dismissed')
+});
+registerCommand({
+    name: 'unsuspend',
+    args: [{ name: 'number', required: true }],
+    adminOnly: true,
+    help: 'commands.unsuspend',
+    handler: handleUnsuspend
+});
+registerCommand({
+    name: 'ban',
+    args: [{ name: 'number', required: true }, { name: 'duration', required: true }, { name: 'reason', rest: true }],
+    adminOnly: true,
+    help: 'commands.ban',
+    handler: (bot, msg, sender, args) => handleBan(bot, sender, args, 'ban')
+});
+registerCommand({
+    name: 'mute',
+    args: [{ name: 'number', required: true }, { name: 'duration', required: true }, { name: 'reason', rest: true }],
+    adminOnly: true,
+    help: 'commands.mute',
+    handler: (bot, msg, sender, args) => handleBan(bot, sender, args, 'mute')
+});
+registerCommand({
+    name: 'unban',
+    args: [{ name: 'number', required: true }],
+    adminOnly: true,
+    help: 'commands.unban',
+    handler: handleUnban
+});
+registerCommand({
+    name: 'banlist',
+    adminOnly: true,
+    help: 'commands.banlist',
+    handler: handleBanList
+});
+registerCommand({
+    name: 'addword',
+    args: [{ name: 'word', required: true, rest: true }],
+    adminOnly: true,
+    help: 'commands.addword',
+    handler: handleAddWord
+});
+registerCommand({
+    name: 'delword',
+    args: [{ name: 'word', required: true, rest: true }],
+    adminOnly: true,
+    help: 'commands.delword',
+    handler: handleDeleteWord
+});
+registerCommand({
+    name: 'wordlist',
+    adminOnly: true,
+    help: 'commands.wordlist',
+    handler: handleWordList
+});
+
+registerCommand({
+    name: 'template',
+    args: [
+        { name: 'name', choices: TEMPLATE_NAMES },
+        { name: 'lang', choices: LOCALES }
+    ],
+    adminOnly: true,
+    help: 'commands.template',
+    handler: handleTemplate
+});
+registerCommand({
+    name: 'settemplate',
+    args: [
+        { name: 'name', required: true, choices: TEMPLATE_NAMES },
+        { name: 'lang', required: true, choices: LOCALES },
+        { name: 'text', required: true, rest: true }
+    ],
+    adminOnly: true,
+    help: 'commands.settemplate',
+    handler: handleSetTemplate
+});
+registerCommand({
+    name: 'resettemplate',
+    args: [
+        { name: 'name', required: true, choices: TEMPLATE_NAMES },
+        { name: 'lang', choices: LOCALES }
+    ],
+    adminOnly: true,
+    help: 'commands.resettemplate',
+    handler: handleResetTemplate
+});
+
+/**
+ * Process commands for anonymous chat
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @returns {Boolean} - True if the message was a known command
+ */
+async function processCommand(bot, msg, sender) {
+    const msgBody = msg.body || 
+                  (msg.message?.conversation) || 
+                  (msg.message?.extendedTextMessage?.text) || 
+                  (msg.message?.imageMessage?.caption) || 
+                  (msg.message?.videoMessage?.caption) || 
+                  '';
+
+    // In a chat, text like ".lol" is meant for the partner and is relayed instead
+    const chatting = await database.findOne(COLLECTION_NAME, { id: sender, status: 'chatting' });
 
-    await bot.sendMessage(msg.key.remoteJid, { text: helpText });
+    return await runCommand(bot, msg, sender, msgBody, { replyUnknown: !chatting });
 }
 
 // Export the module functions
 const anonymousChat = {
     processCommand,
     relayMessage,
+    welcomeNewUser,
+    relayPollVotes,
+    relayPresence,
+    relayReadReceipt,
+    markIncomingRead,
+    subscribeChattingUsers,
     sendHelpMessage,
     initializeCollections,
+    stopBackgroundJobs,
     processMessageQueue
 };
 
-export default anonymousChat;
\ No newline at end of file
+export default anonymousChat;
@@ -0,0 +1,203 @@
+/**
+ * Profile Module
+ * Stores a user's own profile and the partner preferences used by matchmaking
+ */
+import database from '../database.js';
+import config from '../config.js';
+import { t, getLocale } from './i18n.js';
+
+const COLLECTION_NAME = config.anonymousChat?.collection || 'anonymous_chat';
+
+const GENDERS = {
+    m: 'm', male: 'm', l: 'm',
+    f: 'f', female: 'f', p: 'f'
+};
+const MIN_AGE = 13;
+const MAX_AGE = 99;
+const ANY = ['any', 'all', '-'];
+
+function parseGender(value) {
+    return GENDERS[value] || null;
+}
+
+function parseAge(value) {
+    const age = parseInt(value);
+    if (isNaN(age) || age < MIN_AGE || age > MAX_AGE) return null;
+    return age;
+}
+
+function parseLanguage(value) {
+    return /^[a-z]{2,3}$/.test(value || '') ? value : null;
+}
+
+/**
+ * Parse an age range such as `18-25`, `18-` or `-25`
+ * @param {String} value - The range text
+ * @returns {Object|null} - { ageMin, ageMax } or null if invalid
+ */
+function parseAgeRange(value) {
+    const match = /^(\d*)-(\d*)$/.exec(value || '') || /^(\d+)$/.exec(value || '');
+    if (!match) return null;
+
+    const [min, max = min] = match.slice(1);
+    const ageMin = min ? parseAge(min) : null;
+    const ageMax = max ? parseAge(max) : null;
+
+    if ((min && ageMin === null) || (max && ageMax === null)) return null;
+    if (ageMin === null && ageMax === null) return null;
+    if (ageMin !== null && ageMax !== null && ageMin > ageMax) return null;
+
+    return { ageMin, ageMax };
+}
+
+/**
+ * Build the query that only matches partners compatible with `user` both ways:
+ * the partner fits the user's preferences and the user fits the partner's
+ * @param {Object} user - The searching user's document
+ * @returns {Object[]} - Conditions to combine with $and
+ */
+export function compatibilityFilter(user) {
+    const profile = user?.profile || {};
+    const preferences = user?.preferences || {};
+    const conditions = [];
+
+    // The partner must fit my preferences
+    if (preferences.gender) conditions.push({ 'profile.gender': preferences.gender });
+    if (preferences.ageMin != null) conditions.push({ 'profile.age': { $gte: preferences.ageMin } });
+    if (preferences.ageMax != null) conditions.push({ 'profile.age': { $lte: preferences.ageMax } });
+    if (preferences.lang) conditions.push({ 'profile.lang': preferences.lang });
+
+    // I must fit the partner's preferences
+    conditions.push({ 'preferences.gender': profile.gender ? { $in: [null, profile.gender] } : null });
+    conditions.push({ 'preferences.lang': profile.lang ? { $in: [null, profile.lang] } : null });
+
+    if (profile.age != null) {
+        conditions.push({ $or: [{ 'preferences.ageMin': null }, { 'preferences.ageMin': { $lte: profile.age } }] });
+        conditions.push({ $or: [{ 'preferences.ageMax': null }, { 'preferences.ageMax': { $gte: profile.age } }] });
+    } else {
+        conditions.push({ 'preferences.ageMin': null });
+        conditions.push({ 'preferences.ageMax': null });
+    }
+
+    return conditions;
+}
+
+function formatProfile(user, locale) {
+    const profile = user?.profile || {};
+    const preferences = user?.preferences || {};
+    const any = t(locale, 'profile.any');
+    const gender = value => (value ? t(locale, `profile.genders.${value}`) : null);
+
+    let ageRange = any;
+    if (preferences.ageMin != null || preferences.ageMax != null) {
+        ageRange = `${preferences.ageMin ?? MIN_AGE}-${preferences.ageMax ?? MAX_AGE}`;
+    }
+
+    return t(locale, 'profile.summary', {
+        gender: gender(profile.gender) || '-',
+        age: profile.age ?? '-',
+        lang: profile.lang || '-',
+        prefGender: gender(preferences.gender) || any,
+        prefAge: ageRange,
+        prefLang: preferences.lang || any
+    });
+}
+
+/**
+ * Turn `.profile set|pref <field> <value>` into a $set/$unset update
+ * @returns {Object|String} - The update, or the catalog key of an error message
+ */
+function buildProfileUpdate(action, field, value) {
+    const clearing = action === 'pref' && ANY.includes(value);
+
+    if (action === 'set') {
+        switch (field) {
+            case 'gender': {
+                const gender = parseGender(value);
+                return gender ? { $set: { 'profile.gender': gender } } : 'profile.invalidGender';
+            }
+            case 'age': {
+                const age = parseAge(value);
+                return age !== null ? { $set: { 'profile.age': age } } : 'profile.invalidAge';
+            }
+            case 'lang': {
+                const lang = parseLanguage(value);
+                return lang ? { $set: { 'profile.lang': lang } } : 'profile.invalidLang';
+            }
+        }
+    }
+
+    if (action === 'pref') {
+        switch (field) {
+            case 'gender': {
+                if (clearing) return { $unset: { 'preferences.gender': '' } };
+                const gender = parseGender(value);
+                return gender ? { $set: { 'preferences.gender': gender } } : 'profile.invalidPrefGender';
+            }
+            case 'age': {
+                if (clearing) return { $unset: { 'preferences.ageMin': '', 'preferences.ageMax': '' } };
+                const range = parseAgeRange(value);
+                if (!range) return 'profile.invalidPrefAge';
+                return { $set: { 'preferences.ageMin': range.ageMin, 'preferences.ageMax': range.ageMax } };
+            }
+            case 'lang': {
+                if (clearing) return { $unset: { 'preferences.lang': '' } };
+                const lang = parseLanguage(value);
+                return lang ? { $set: { 'preferences.lang': lang } } : 'profile.invalidPrefLang';
+            }
+        }
+    }
+
+    return 'profile.usage';
+}
+
+/**
+ * Handle the profile command family
+ * @param {Object} bot - The WhatsApp bot instance
+ * @param {Object} msg - The message object
+ * @param {String} sender - The sender's ID
+ * @param {String[]} args - Arguments after `.profile`
+ */
+export async function handleProfile(bot, msg, sender, args = []) {
+    try {
+        const [action, field, value] = args.map(arg => arg.toLowerCase());
+        const locale = await getLocale(sender);
+
+        if (!action) {
+            const user = await database.findOne(COLLECTION_NAME, { id: sender });
+            await bot.sendMessage(msg.key.remoteJid, { text: formatProfile(user, locale) });
+            return;
+        }
+
+        if (action === 'clear') {
+            await database.updateOne(COLLECTION_NAME, { id: sender }, {
+                $unset: { profile: '', preferences: '' }
+            });
+            await bot.sendMessage(msg.key.remoteJid, {
+                text: t(locale, 'profile.cleared')
+            });
+            return;
+        }
+
+        const update = buildProfileUpdate(action, field, value);
+        if (typeof update === 'string') {
+            await bot.sendMessage(msg.key.remoteJid, {
+                text: t(locale, update, { min: MIN_AGE, max: MAX_AGE })
+            });
+            return;
+        }
+
+        await database.updateOne(COLLECTION_NAME, { id: sender }, {
+            ...update,
+            $setOnInsert: { status: 'idle', partner: null, createdAt: new Date() }
+        }, { upsert: true });
+
+        const user = await database.findOne(COLLECTION_NAME, { id: sender });
+        await bot.sendMessage(msg.key.remoteJid, {
+            text: t(locale, 'profile.updated', { profile: formatProfile(user, locale) })
+        });
+    } catch (error) {
+        console.error('[Profile] Error:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Rate Limit Module
+ * Token buckets per user and message kind, with a warning before a cooldown
+ */
+import config from '../config.js';
+
+const limits = config.rateLimit || {};
+
+// Buckets and penalty state live in memory; a restart simply resets them
+const buckets = new Map();
+const penalties = new Map();
+// When each user's cooldown on an action ends, keyed by `${userId}:${action}`
+const cooldowns = new Map();
+
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+let lastPrune = Date.now();
+
+function takeToken(key, { capacity, refillPerMinute }) {
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    const refill = ((now - bucket.updatedAt) / 60000) * refillPerMinute;
+    bucket.tokens = Math.min(capacity, bucket.tokens + refill);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    buckets.set(key, bucket);
+    return allowed;
+}
+
+function pruneStaleEntries() {
+    const now = Date.now();
+    if (now - lastPrune < PRUNE_INTERVAL) return;
+    lastPrune = now;
+
+    for (const [key, bucket] of buckets) {
+        if (now - bucket.updatedAt > PRUNE_INTERVAL) buckets.delete(key);
+    }
+    for (const [userId, penalty] of penalties) {
+        if (penalty.cooldownUntil < now && now - penalty.lastViolation > PRUNE_INTERVAL) penalties.delete(userId);
+    }
+    // A cooldown is only needed until it ends, however long it is
+    for (const [key, until] of cooldowns) {
+        if (until <= now) cooldowns.delete(key);
+    }
+}
+
+/**
+ * Check whether a user may send another message or command
+ * The first violation only warns; repeated violations put the user
+ * on a cooldown during which everything of theirs is dropped.
+ * @param {String} userId - The user's ID
+ * @param {String} kind - 'text', 'media' or 'command'
+ * @returns {Object} - { allowed, notice, params } where notice is a catalog key to send, or null
+ */
+export function checkRateLimit(userId, kind) {
+    pruneStaleEntries();
+
+    const limit = limits[kind];
+    if (!limit) return { allowed: true, notice: null };
+
+    const now = Date.now();
+    const penalty = penalties.get(userId) || { violations: 0, lastViolation: 0, cooldownUntil: 0 };
+
+    if (penalty.cooldownUntil > now) {
+        return { allowed: false, notice: null };
+    }
+
+    if (takeToken(`${userId}:${kind}`, limit)) {
+        return { allowed: true, notice: null };
+    }
+
+    // Violations older than the warning window are forgiven
+    if (now - penalty.lastViolation > limits.warningWindow) {
+        penalty.violations = 0;
+    }
+    penalty.violations += 1;
+    penalty.lastViolation = now;
+    penalties.set(userId, penalty);
+
+    if (penalty.violations <= limits.warnings) {
+        return { allowed: false, notice: 'rateLimit.warning' };
+    }
+
+    penalty.violations = 0;
+    penalty.cooldownUntil = now + limits.cooldown;
+    return {
+        allowed: false,
+        notice: 'rateLimit.muted',
+        params: { seconds: Math.ceil(limits.cooldown / 1000) }
+    };
+}
+
+/**
+ * Check whether an action is still cooling down
+ * Only startCooldown starts one, so an attempt that did nothing costs nothing.
+ * @param {String} userId - The user's ID
+ * @param {String} action - Action name, e.g. 'search'
+ * @returns {Number} - Milliseconds left to wait, 0 if the action may run
+ */
+export function checkCooldown(userId, action) {
+    return Math.max(0, (cooldowns.get(`${userId}:${action}`) || 0) - Date.now());
+}
+
+/**
+ * Start the cooldown after an action went through
+ * @param {String} userId - The user's ID
+ * @param {String} action - Action name, e.g. 'search'
+ * @param {Number} interval - Minimum milliseconds between uses
+ */
+export function startCooldown(userId, action, interval) {
+    if (interval > 0) cooldowns.set(`${userId}:${action}`, Date.now() + interval);
+}
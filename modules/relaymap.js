@@ -0,0 +1,207 @@
+/**
+ * Relay Map Module
+ * Remembers which relayed copy belongs to which original message, so
+ * replies can quote the partner's copy of a message
+ */
+import baileys from "@whiskeysockets/baileys";
+import database from '../database.js';
+import config from '../config.js';
+
+const { proto } = baileys;
+
+export const MESSAGE_MAP_COLLECTION = 'message_map';
+
+// Message bodies are only kept when the operator opts in, and only briefly
+const STORE_CONTENT = config.anonymousChat?.storeMessageContent ?? false;
+const CONTENT_TTL = config.anonymousChat?.messageContentTtl ?? 60 * 60 * 1000;
+
+function encodeMessage(message) {
+    if (!message) return null;
+    return Buffer.from(proto.Message.encode(message).finish());
+}
+
+function decodeMessage(value) {
+    if (!value) return undefined;
+    // MongoDB hands binary data back as a BSON Binary, the other stores as a Buffer
+    const bytes = Buffer.isBuffer(value) ? value : value.buffer ?? value;
+    return proto.Message.decode(bytes);
+}
+
+function hasContent(entry) {
+    if (!entry?.originalMessage && !entry?.relayedMessage) return false;
+    return !entry.contentExpiresAt || entry.contentExpiresAt > new Date();
+}
+
+/**
+ * Record that `original` was relayed as `sent`
+ * Only the message keys are stored unless content storage is enabled.
+ * @param {Object} original - The message received from the sender
+ * @param {Object} sent - The message the bot sent to the partner
+ * @param {Object} options - { storeContent, contentTtl } override whether and how long message bodies are kept;
+ *                           a contentTtl of null keeps them as long as the link itself
+ */
+export async function recordRelayedMessage(original, sent, { storeContent = STORE_CONTENT, contentTtl = CONTENT_TTL } = {}) {
+    if (!original?.key?.id || !sent?.key?.id) return;
+
+    try {
+        await database.insertOne(MESSAGE_MAP_COLLECTION, {
+            originalJid: original.key.remoteJid,
+            originalId: original.key.id,
+            relayedJid: sent.key.remoteJid,
+            relayedId: sent.key.id,
+            originalMessage: storeContent ? encodeMessage(original.message) : null,
+            relayedMessage: storeContent ? encodeMessage(sent.message) : null,
+            contentExpiresAt: storeContent && contentTtl != null ? new Date(Date.now() + contentTtl) : null,
+            createdAt: new Date()
+        });
+    } catch (error) {
+        console.error('[RelayMap] Error recording relayed message:', error);
+    }
+}
+
+/**
+ * Put edited text into a decoded message, as its text or caption
+ */
+function withText(message, text) {
+    if (!message) return message;
+
+    if (message.conversation) {
+        message.conversation = text;
+    } else if (message.extendedTextMessage) {
+        message.extendedTextMessage.text = text;
+    } else {
+        const media = message.imageMessage || message.videoMessage || message.documentMessage;
+        if (media) media.caption = text;
+    }
+    return message;
+}
+
+/**
+ * Apply an edit to the stored copies of a relayed message, so quotes and
+ * retries use the edited text
+ * @param {String} originalJid - The chat of the edited original
+ * @param {String} originalId - The ID of the edited original
+ * @param {String} text - The new text as the sender wrote it
+ * @param {String} relayedText - The new text as the partner received it
+ */
+export async function updateRelayedText(originalJid, originalId, text, relayedText) {
+    try {
+        const entry = await database.findOne(MESSAGE_MAP_COLLECTION, { originalJid, originalId });
+
+        // Entries recorded without content, or whose content expired, have nothing to update
+        if (!hasContent(entry)) return;
+
+        await database.updateOne(MESSAGE_MAP_COLLECTION, { _id: entry._id }, {
+            $set: {
+                originalMessage: encodeMessage(withText(decodeMessage(entry.originalMessage), text)),
+                relayedMessage: encodeMessage(withText(decodeMessage(entry.relayedMessage), relayedText))
+            }
+        });
+    } catch (error) {
+        console.error('[RelayMap] Error updating edited message:', error);
+    }
+}
+
+/**
+ * Find the partner-side counterpart of a message in a user's chat
+ * Works both ways: for a message the user sent it returns the bot's
+ * relayed copy, for a relayed copy the user received it returns the
+ * partner's original.
+ * @param {String} chatJid - The chat the message lives in
+ * @param {String} messageId - The message ID in that chat
+ * @returns {Object|null} - { key, message } usable as a quoted message
+ */
+export async function findCounterpart(chatJid, messageId) {
+    if (!messageId) return null;
+
+    try {
+        const sent = await database.findOne(MESSAGE_MAP_COLLECTION, {
+            originalJid: chatJid,
+            originalId: messageId
+        });
+
+        if (sent) {
+            return {
+                key: { remoteJid: sent.relayedJid, id: sent.relayedId, fromMe: true },
+                message: hasContent(sent) ? decodeMessage(sent.relayedMessage) : undefined
+            };
+        }
+
+        const received = await database.findOne(MESSAGE_MAP_COLLECTION, {
+            relayedJid: chatJid,
+            relayedId: messageId
+        });
+
+        if (received) {
+            return {
+                key: { remoteJid: received.originalJid, id: received.originalId, fromMe: false },
+                message: hasContent(received) ? decodeMessage(received.originalMessage) : undefined
+            };
+        }
+
+        return null;
+    } catch (error) {
+        console.error('[RelayMap] Error looking up counterpart:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the context info of a message, wherever its type keeps it
+ * @param {Object} messageContent - msg.message
+ * @returns {Object|undefined} - The contextInfo, if any
+ */
+export function getContextInfo(messageContent) {
+    if (!messageContent) return undefined;
+
+    for (const content of Object.values(messageContent)) {
+        if (content && typeof content === 'object' && content.contextInfo) {
+            return content.contextInfo;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Look up a stored message by key, for Baileys' getMessage option
+ * Baileys needs the original poll to decrypt votes and messages to retry sends.
+ * @param {Object} key - The message key
+ * @returns {Object|undefined} - The message content
+ */
+export async function getStoredMessage(key) {
+    if (!key?.id) return undefined;
+
+    try {
+        const entry = await database.findOne(MESSAGE_MAP_COLLECTION, {
+            $or: [
+                { relayedJid: key.remoteJid, relayedId: key.id },
+                { originalJid: key.remoteJid, originalId: key.id }
+            ]
+        });
+
+        if (!hasContent(entry)) return undefined;
+        return decodeMessage(entry.relayedId === key.id ? entry.relayedMessage : entry.originalMessage);
+    } catch (error) {
+        console.error('[RelayMap] Error loading stored message:', error);
+        return undefined;
+    }
+}
+
+/**
+ * Drop message bodies whose content TTL has passed, keeping the key links
+ */
+export async function clearExpiredContent() {
+    try {
+        const result = await database.updateMany(MESSAGE_MAP_COLLECTION, {
+            contentExpiresAt: { $lte: new Date() }
+        }, {
+            $set: { originalMessage: null, relayedMessage: null, contentExpiresAt: null }
+        });
+
+        if (result.modifiedCount > 0) {
+            console.log(`[RelayMap] Cleared content of ${result.modifiedCount} relayed messages`);
+        }
+    } catch (error) {
+        console.error('[RelayMap] Error clearing expired content:', error);
+    }
+}
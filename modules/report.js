@@ -0,0 +1,236 @@
+// modules/report.js
+import database from '../database.js';
+import config from '../config.js';
+import { loadMedia } from './mediastore.js';
+import { t, translate } from './i18n.js';
+
+export const REPORTS_COLLECTION = 'reports';
+
+const COLLECTION_NAME = config.anonymousChat?.collection || 'anonymous_chat';
+const REPORT_THRESHOLD = config.moderation?.reportThreshold ?? 3;
+
+class ReportManager {
+    static parseId(reportId) {
+        return database.toId(reportId);
+    }
+
+    /**
+     * File a report and auto-suspend the reported user once enough
+     * different people have reported them
+     * @returns {Object} - { success, messageKey, report, suspended, searchCancelled }
+     */
+    static async createReport(reporter, reported, reason, evidence = null) {
+        try {
+            const report = {
+                reporter,
+                reported,
+                reason,
+                evidence,
+                status: 'pending',
+                createdAt: new Date()
+            };
+
+            // Only inserts when this reporter has no pending report on the user;
+            // the unique index catches two reports racing each other
+            const result = await database.updateOne(REPORTS_COLLECTION, {
+                reporter,
+                reported,
+                status: 'pending'
+            }, {
+                $setOnInsert: report
+            }, { upsert: true });
+
+            if (result.upsertedCount === 0) {
+                return { success: false, messageKey: 'report.duplicate' };
+            }
+            report._id = result.upsertedId;
+
+            const { suspended, searchCancelled } = await this.checkAutoSuspend(reported);
+
+            console.log(`[Report] ${reporter} reported ${reported}`);
+            return { success: true, report, suspended, searchCancelled };
+        } catch (error) {
+            if (error.code === 11000) {
+                return { success: false, messageKey: 'report.duplicate' };
+            }
+            console.error('[Report] Error creating report:', error);
+            return { success: false, messageKey: 'report.error' };
+        }
+    }
+
+    /**
+     * Count the different people whose reports against a user still stand
+     * @param {String} reported - The reported user
+     * @param {Date} since - Only count reports filed after this, e.g. the last unsuspend
+     */
+    static async countUniqueReporters(reported, since = null) {
+        const reports = await database.find(REPORTS_COLLECTION, {
+            reported,
+            status: { $ne: 'dismissed' },
+            ...(since && { createdAt: { $gt: since } })
+        });
+        return new Set(reports.map(report => report.reporter)).size;
+    }
+
+    /**
+     * Suspend a user from searching when the report threshold is reached
+     * Reports from before an admin lifted the last suspension do not count again.
+     * @returns {Object} - { suspended, searchCancelled }: whether this call suspended
+     *   the user and whether it took them out of the search queue
+     */
+    static async checkAutoSuspend(reported) {
+        if (REPORT_THRESHOLD <= 0) return { suspended: false, searchCancelled: false };
+
+        const user = await database.findOne(COLLECTION_NAME, { id: reported });
+        const reporters = await this.countUniqueReporters(reported, user?.unsuspendedAt);
+        if (reporters < REPORT_THRESHOLD) return { suspended: false, searchCancelled: false };
+
+        const result = await database.updateOne(COLLECTION_NAME, {
+            id: reported,
+            suspended: { $ne: true }
+        }, {
+            $set: {
+                suspended: true,
+                suspendedAt: new Date(),
+                suspendReason: `Reported by ${reporters} users`
+            }
+        });
+
+        // Drop a pending search so the user is not matched anymore, also
+        // while the matching sweep holds them, so its claim fails
+        const cancelled = await database.updateOne(COLLECTION_NAME, {
+            id: reported,
+            status: { $in: ['waiting', 'matching'] }
+        }, {
+            $set: { status: 'idle' },
+            $unset: { matchingUntil: '' }
+        });
+
+        return { suspended: result.modifiedCount > 0, searchCancelled: cancelled.modifiedCount > 0 };
+    }
+
+    static async listPendingReports() {
+        try {
+            return await database.find(REPORTS_COLLECTION, { status: 'pending' }, {
+                sort: { createdAt: 1 }
+            });
+        } catch (error) {
+            console.error('[Report] Error listing reports:', error);
+            return [];
+        }
+    }
+
+    static async getReport(reportId) {
+        const objectId = this.parseId(reportId);
+        if (!objectId) return null;
+        return await database.findOne(REPORTS_COLLECTION, { _id: objectId });
+    }
+
+    /**
+     * Close a pending report
+     * @param {String} reportId - The report ID
+     * @param {String} status - 'resolved' or 'dismissed'
+     * @param {String} note - Optional admin note
+     */
+    static async closeReport(reportId, status, note = '') {
+        try {
+            const objectId = this.parseId(reportId);
+            if (!objectId) {
+                return { success: false, messageKey: 'moderation.invalidReportId' };
+            }
+
+            const report = await database.findOneAndUpdate(REPORTS_COLLECTION, {
+                _id: objectId,
+                status: 'pending'
+            }, {
+                $set: {
+                    status,
+                    note,
+                    closedAt: new Date()
+                }
+            });
+
+            if (!report) {
+                return { success: false, messageKey: 'moderation.pendingReportNotFound' };
+            }
+
+            return {
+                success: true,
+                report,
+                messageKey: status === 'resolved' ? 'moderation.reportResolved' : 'moderation.reportDismissed',
+                params: { id: reportId }
+            };
+        } catch (error) {
+            console.error('[Report] Error closing report:', error);
+            return { success: false, messageKey: 'moderation.closeReportError', params: { error: error.message } };
+        }
+    }
+
+    static async unsuspendUser(userId) {
+        const result = await database.updateOne(COLLECTION_NAME, { id: userId, suspended: true }, {
+            $set: { suspended: false, unsuspendedAt: new Date() },
+            $unset: { suspendedAt: '', suspendReason: '' }
+        });
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Send the media attached to a report
+     * @param {Object} bot - The WhatsApp bot instance
+     * @param {String} recipient - Who receives the evidence
+     * @param {Object} report - The report document
+     */
+    static async sendEvidence(bot, recipient, report) {
+        const { mediaId, mediaType, mimetype } = report.evidence.media;
+        const buffer = await loadMedia(mediaId);
+
+        if (!buffer) {
+            await bot.sendMessage(recipient, { text: await translate(recipient, 'moderation.evidenceExpired') });
+            return;
+        }
+
+        const caption = await translate(recipient, 'moderation.evidenceCaption', { id: report._id });
+        const content = {
+            image: { image: buffer, caption },
+            video: { video: buffer, caption, mimetype },
+            sticker: { sticker: buffer },
+            audio: { audio: buffer, mimetype },
+            document: { document: buffer, mimetype, fileName: 'evidence', caption }
+        }[mediaType];
+
+        await bot.sendMessage(recipient, content || { document: buffer, mimetype, fileName: 'evidence' });
+    }
+
+    static formatReportSummary(report, locale = 'en') {
+        return t(locale, 'moderation.reportSummary', {
+            id: report._id,
+            reported: report.reported.split('@')[0],
+            reason: report.reason,
+            date: report.createdAt.toLocaleString(locale)
+        });
+    }
+
+    static formatReportDetail(report, locale = 'en') {
+        let text = t(locale, 'moderation.reportDetail', {
+            id: report._id,
+            status: report.status,
+            reporter: report.reporter.split('@')[0],
+            reported: report.reported.split('@')[0],
+            reason: report.reason,
+            date: report.createdAt.toLocaleString(locale)
+        });
+
+        if (report.evidence?.text) {
+            text += t(locale, 'moderation.reportQuoted', { text: report.evidence.text });
+        }
+        if (report.evidence?.media) {
+            text += t(locale, 'moderation.reportMedia', { type: report.evidence.media.mediaType });
+        }
+        if (report.note) {
+            text += t(locale, 'moderation.reportNote', { note: report.note });
+        }
+        return text;
+    }
+}
+
+export default ReportManager;
@@ -0,0 +1,126 @@
+/**
+ * Template Module
+ * Lets admins rewrite a few catalog texts per language without a redeploy.
+ * Custom texts are stored in the database and layered over the catalogs, so
+ * resetting a template brings back the catalog text.
+ */
+import database from '../database.js';
+import config from '../config.js';
+import { t, lookupCatalog, lookupDefault, setOverride, placeholdersOf } from './i18n.js';
+
+export const TEMPLATES_COLLECTION = 'templates';
+
+/**
+ * Editable templates: the catalog key each one replaces and the
+ * placeholder values used to preview it
+ */
+export const TEMPLATES = {
+    welcome: {
+        key: 'common.welcome',
+        sample: () => ({ name: config.bot?.name || 'Anonymous Chat Bot' })
+    },
+    partnerfound: {
+        key: 'search.partnerFound',
+        sample: (locale) => ({ interests: t(locale, 'search.sharedInterests', { tags: 'music, anime' }) })
+    },
+    chatended: {
+        key: 'chat.ended',
+        sample: () => ({})
+    },
+    // The command list is appended after this text
+    menu: {
+        key: 'help.header',
+        sample: () => ({ name: config.bot?.name || 'Anonymous Chat Bot' })
+    }
+};
+
+export const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Load the custom texts into the catalog overrides
+ * Called once at startup; edits made through this module keep it in sync.
+ */
+export async function loadTemplates() {
+    const docs = await database.find(TEMPLATES_COLLECTION, {});
+    for (const doc of docs) {
+        if (TEMPLATES[doc.name]) {
+            setOverride(doc.locale, TEMPLATES[doc.name].key, doc.text);
+        }
+    }
+    console.log(`[Templates] Loaded ${docs.length} custom template(s)`);
+}
+
+/**
+ * Get a template's current text
+ * @param {String} name - Template name, e.g. 'welcome'
+ * @param {String} locale - 'en' or 'id'
+ * @returns {Object} - { text, custom, placeholders } where placeholders are the ones the text may use
+ */
+export async function getTemplate(name, locale) {
+    const { key } = TEMPLATES[name];
+    const doc = await database.findOne(TEMPLATES_COLLECTION, { name, locale });
+
+    return {
+        text: doc?.text ?? lookupDefault(locale, key),
+        custom: Boolean(doc),
+        placeholders: placeholdersOf(lookupCatalog(locale, key))
+    };
+}
+
+/**
+ * Render a template the way users would see it, with sample values
+ */
+export function renderTemplate(name, locale) {
+    const { key, sample } = TEMPLATES[name];
+    return t(locale, key, sample(locale));
+}
+
+/**
+ * Save a custom text for a template
+ * Only the placeholders of the catalog text are accepted, since those are
+ * the only values the bot fills in.
+ * @returns {Object} - { success, messageKey, params }
+ */
+export async function setTemplate(name, locale, text, updatedBy) {
+    const allowed = placeholdersOf(lookupCatalog(locale, TEMPLATES[name].key));
+    const unknown = placeholdersOf(text).filter(placeholder => !allowed.includes(placeholder));
+
+    if (unknown.length) {
+        return {
+            success: false,
+            messageKey: 'templates.unknownPlaceholder',
+            params: {
+                placeholders: unknown.map(placeholder => `{${placeholder}}`).join(', '),
+                allowed: allowed.map(placeholder => `{${placeholder}}`).join(', ') || '-'
+            }
+        };
+    }
+
+    try {
+        await database.updateOne(TEMPLATES_COLLECTION, { name, locale }, {
+            $set: { text, updatedBy, updatedAt: new Date() },
+            $setOnInsert: { name, locale }
+        }, { upsert: true });
+
+        setOverride(locale, TEMPLATES[name].key, text);
+        console.log(`[Templates] ${updatedBy} changed ${name} (${locale})`);
+        return { success: true, messageKey: 'templates.saved', params: { name, locale } };
+    } catch (error) {
+        console.error('[Templates] Error saving template:', error);
+        return { success: false, messageKey: 'templates.saveError', params: { error: error.message } };
+    }
+}
+
+/**
+ * Go back to the catalog text
+ * @param {String} name - Template name
+ * @param {String[]} locales - Languages to reset
+ * @returns {Boolean} - True if a custom text was removed
+ */
+export async function resetTemplate(name, locales) {
+    const result = await database.deleteMany(TEMPLATES_COLLECTION, { name, locale: { $in: locales } });
+    for (const locale of locales) {
+        setOverride(locale, TEMPLATES[name].key, null);
+    }
+    return result.deletedCount > 0;
+}
@@ -0,0 +1,105 @@
+/**
+ * JSON File Storage Adapter
+ * The in-memory adapter, saved to a JSON file after every change and
+ * loaded again on start. Stored media goes into a folder next to the file.
+ * Meant for a single bot process on a small deployment.
+ */
+import { readFile, writeFile, rename, mkdir, unlink } from 'fs/promises';
+import { dirname, join } from 'path';
+import MemoryAdapter from './memory.js';
+
+// JSON has no dates or binary data, so they are written as tagged objects
+function replacer(key, value) {
+    const original = this[key];
+    if (original instanceof Date) return { $date: original.toISOString() };
+    if (Buffer.isBuffer(original)) return { $binary: original.toString('base64') };
+    return value;
+}
+
+function reviver(key, value) {
+    if (value && typeof value === 'object') {
+        if (typeof value.$date === 'string') return new Date(value.$date);
+        if (typeof value.$binary === 'string') return Buffer.from(value.$binary, 'base64');
+    }
+    return value;
+}
+
+class FileAdapter extends MemoryAdapter {
+    /**
+     * @param {String} path - The JSON file, e.g. ./data/db.json
+     */
+    constructor(path) {
+        super();
+        this.name = 'file';
+        this.path = path;
+        this.mediaDir = join(dirname(path), 'media');
+        this.writing = Promise.resolve();
+        this.saveQueued = false;
+    }
+
+    async connect() {
+        await mkdir(this.mediaDir, { recursive: true });
+
+        try {
+            const data = JSON.parse(await readFile(this.path, 'utf8'), reviver);
+            this.collections = new Map(Object.entries(data.collections || {}));
+            this.files = new Map(Object.entries(data.files || {}));
+            console.log(`[Storage] Loaded ${this.path}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.log(`[Storage] Creating ${this.path}`);
+        }
+    }
+
+    async close() {
+        await this.writing;
+    }
+
+    /**
+     * Save soon after a change; changes made while a save runs are
+     * written by the next one
+     */
+    changed() {
+        if (this.saveQueued) return;
+        this.saveQueued = true;
+
+        this.writing = this.writing.then(async () => {
+            this.saveQueued = false;
+            const data = JSON.stringify({
+                collections: Object.fromEntries(this.collections),
+                files: Object.fromEntries(this.files)
+            }, replacer);
+
+            // Write a temporary file first so a crash never leaves half a file behind
+            await writeFile(`${this.path}.tmp`, data);
+            await rename(`${this.path}.tmp`, this.path);
+        }).catch(error => {
+            console.error('[Storage] Failed to save data file:', error);
+        });
+    }
+
+    // --- File content ---
+
+    filePath(bucket, id) {
+        return join(this.mediaDir, `${bucket}-${id}`);
+    }
+
+    async writeFileData(bucket, id, buffer) {
+        await writeFile(this.filePath(bucket, id), buffer);
+    }
+
+    async readFileData(bucket, id) {
+        try {
+            return await readFile(this.filePath(bucket, id));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async removeFileData(bucket, id) {
+        await unlink(this.filePath(bucket, id)).catch(() => {});
+    }
+}
+
+export default FileAdapter;
@@ -0,0 +1,280 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps every collection in process memory. Nothing survives a restart,
+ * which makes it handy for local runs and tests without a MongoDB server.
+ */
+import { randomBytes } from 'crypto';
+import { matches, sortDocuments, applyUpdate, upsertBase, clone } from './query.js';
+
+// Same shape as a MongoDB ObjectId string, so IDs look alike across adapters
+function generateId() {
+    return randomBytes(12).toString('hex');
+}
+
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.collections = new Map();
+        this.uniqueIndexes = new Map();
+        this.ttlIndexes = new Map();
+        this.files = new Map();
+        this.fileData = new Map();
+    }
+
+    async connect() {}
+
+    async close() {}
+
+    /**
+     * Called after every write; the file adapter saves here
+     */
+    changed() {}
+
+    getCollection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, []);
+        return this.collections.get(name);
+    }
+
+    async createCollection(name) {
+        this.getCollection(name);
+    }
+
+    /**
+     * Only unique and TTL indexes change behaviour here; the rest are ignored
+     * A unique index with a partialFilterExpression only covers matching documents.
+     */
+    async createIndex(name, keys, options = {}) {
+        const fields = Object.keys(keys);
+
+        if (options.unique) {
+            const indexes = this.uniqueIndexes.get(name) || [];
+            indexes.push({ fields, partial: options.partialFilterExpression });
+            this.uniqueIndexes.set(name, indexes);
+        }
+        if (options.expireAfterSeconds !== undefined) {
+            this.ttlIndexes.set(name, { field: fields[0], ttl: options.expireAfterSeconds * 1000 });
+        }
+    }
+
+    /**
+     * Drop documents whose TTL passed, like MongoDB's TTL monitor
+     */
+    expire(name) {
+        const index = this.ttlIndexes.get(name);
+        if (!index) return;
+
+        const docs = this.getCollection(name);
+        const now = Date.now();
+        const kept = docs.filter(doc => {
+            const value = doc[index.field];
+            return !(value instanceof Date) || value.getTime() + index.ttl > now;
+        });
+
+        if (kept.length !== docs.length) {
+            this.collections.set(name, kept);
+            this.changed();
+        }
+    }
+
+    /**
+     * @param {Object} previous - The stored document `doc` will replace, if any
+     */
+    checkUnique(name, doc, previous = null) {
+        for (const { fields, partial } of this.uniqueIndexes.get(name) || []) {
+            if (partial && !matches(doc, partial)) continue;
+
+            const duplicate = this.getCollection(name).some(other => (
+                other !== previous &&
+                (!partial || matches(other, partial)) &&
+                fields.every(field => String(other[field]) === String(doc[field]))
+            ));
+            if (duplicate) {
+                const error = new Error(`Duplicate key in ${name}: ${fields.map(field => `${field}=${doc[field]}`).join(', ')}`);
+                // Same code as the MongoDB driver's duplicate key error
+                error.code = 11000;
+                throw error;
+            }
+        }
+    }
+
+    query(name, filter, { sort, skip, limit } = {}) {
+        this.expire(name);
+        const docs = sortDocuments(this.getCollection(name).filter(doc => matches(doc, filter)), sort);
+        return docs.slice(skip || 0, limit ? (skip || 0) + limit : undefined);
+    }
+
+    async findOne(name, filter = {}, options = {}) {
+        const [doc] = this.query(name, filter, { ...options, limit: 1 });
+        return doc ? clone(doc) : null;
+    }
+
+    async find(name, filter = {}, options = {}) {
+        return this.query(name, filter, options).map(clone);
+    }
+
+    async countDocuments(name, filter = {}) {
+        return this.query(name, filter).length;
+    }
+
+    async insertOne(name, document) {
+        const doc = clone(document);
+        if (doc._id === undefined) doc._id = generateId();
+
+        this.checkUnique(name, doc);
+        this.getCollection(name).push(doc);
+        this.changed();
+
+        // The driver sets _id on the inserted object too
+        document._id = doc._id;
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    upsert(name, filter, update) {
+        const doc = applyUpdate(upsertBase(filter), update, true);
+        if (doc._id === undefined) doc._id = generateId();
+
+        this.checkUnique(name, doc);
+        this.getCollection(name).push(doc);
+        return doc;
+    }
+
+    /**
+     * Update a copy first so a failed update or unique check leaves the stored document alone
+     */
+    replaceWithUpdate(name, doc, update) {
+        const updated = applyUpdate(clone(doc), update);
+        const modified = JSON.stringify(updated) !== JSON.stringify(doc);
+
+        if (modified) {
+            this.checkUnique(name, updated, doc);
+            const docs = this.getCollection(name);
+            docs[docs.indexOf(doc)] = updated;
+        }
+        return { doc: updated, modified };
+    }
+
+    async updateOne(name, filter, update, options = {}) {
+        const [doc] = this.query(name, filter, { limit: 1 });
+
+        if (!doc) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+
+            const inserted = this.upsert(name, filter, update);
+            this.changed();
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+
+        const { modified } = this.replaceWithUpdate(name, doc, update);
+        if (modified) this.changed();
+        return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(name, filter, update) {
+        const docs = this.query(name, filter);
+        let modifiedCount = 0;
+
+        for (const doc of docs) {
+            if (this.replaceWithUpdate(name, doc, update).modified) modifiedCount++;
+        }
+
+        if (modifiedCount) this.changed();
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+
+    /**
+     * @param {Object} options - { sort, upsert, returnDocument: 'before' | 'after' }
+     */
+    async findOneAndUpdate(name, filter, update, options = {}) {
+        const [doc] = this.query(name, filter, { sort: options.sort, limit: 1 });
+
+        if (!doc) {
+            if (!options.upsert) return null;
+            const inserted = this.upsert(name, filter, update);
+            this.changed();
+            return options.returnDocument === 'before' ? null : clone(inserted);
+        }
+
+        const result = this.replaceWithUpdate(name, doc, update);
+        if (result.modified) this.changed();
+        return clone(options.returnDocument === 'before' ? doc : result.doc);
+    }
+
+    async deleteOne(name, filter) {
+        const [doc] = this.query(name, filter, { limit: 1 });
+        if (!doc) return { acknowledged: true, deletedCount: 0 };
+
+        const docs = this.getCollection(name);
+        docs.splice(docs.indexOf(doc), 1);
+        this.changed();
+        return { acknowledged: true, deletedCount: 1 };
+    }
+
+    async deleteMany(name, filter) {
+        const docs = this.getCollection(name);
+        const kept = docs.filter(doc => !matches(doc, filter));
+        const deletedCount = docs.length - kept.length;
+
+        if (deletedCount) {
+            this.collections.set(name, kept);
+            this.changed();
+        }
+        return { acknowledged: true, deletedCount };
+    }
+
+    /**
+     * Parse a document ID coming from a user
+     * @returns {String|null} - The ID, or null if it cannot be one
+     */
+    toId(value) {
+        const id = String(value ?? '');
+        return /^[0-9a-f]{24}$/i.test(id) ? id.toLowerCase() : null;
+    }
+
+    // --- Files ---
+    // `files` holds the file documents; the content is kept apart so the
+    // file adapter can put it on disk
+
+    async saveFile(bucket, buffer, { filename, metadata } = {}) {
+        const id = generateId();
+        await this.writeFileData(bucket, id, buffer);
+        this.files.set(`${bucket}/${id}`, { _id: id, bucket, filename, metadata: clone(metadata) });
+        this.changed();
+        return id;
+    }
+
+    async loadFile(bucket, id) {
+        if (!this.files.has(`${bucket}/${id}`)) return null;
+        return await this.readFileData(bucket, id);
+    }
+
+    async deleteFile(bucket, id) {
+        if (!this.files.delete(`${bucket}/${id}`)) return false;
+        this.changed();
+        await this.removeFileData(bucket, id);
+        return true;
+    }
+
+    /**
+     * @returns {Object[]} - { _id, filename, metadata } of the matching files
+     */
+    async findFiles(bucket, filter = {}) {
+        return [...this.files.values()]
+            .filter(file => file.bucket === bucket && matches(file, filter))
+            .map(({ _id, filename, metadata }) => ({ _id, filename, metadata: clone(metadata) }));
+    }
+
+    async writeFileData(bucket, id, buffer) {
+        this.fileData.set(`${bucket}/${id}`, Buffer.from(buffer));
+    }
+
+    async readFileData(bucket, id) {
+        const data = this.fileData.get(`${bucket}/${id}`);
+        return data ? Buffer.from(data) : null;
+    }
+
+    async removeFileData(bucket, id) {
+        this.fileData.delete(`${bucket}/${id}`);
+    }
+}
+
+export default MemoryAdapter;
@@ -0,0 +1,170 @@
+/**
+ * MongoDB Storage Adapter
+ * Passes queries straight to the driver and keeps stored media in GridFS
+ */
+import { MongoClient, GridFSBucket, ObjectId } from 'mongodb';
+
+class MongoAdapter {
+    /**
+     * @param {String} url - MongoDB connection string
+     * @param {String} dbName - Database name
+     */
+    constructor(url, dbName) {
+        this.name = 'mongodb';
+        this.url = url;
+        this.dbName = dbName;
+        this.client = null;
+        this.db = null;
+    }
+
+    async connect() {
+        // Check if MongoDB URI is configured
+        if (!this.url) {
+            throw new Error('MongoDB URI is not configured. Please set MONGODB_URI in your .env file');
+        }
+
+        // Check if database name is configured
+        if (!this.dbName) {
+            throw new Error('MongoDB database name is not configured. Please set DB_NAME in your .env file');
+        }
+
+        this.client = new MongoClient(this.url);
+        await this.client.connect();
+        this.db = this.client.db(this.dbName);
+        console.log('Connected to MongoDB successfully');
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.close();
+            this.client = null;
+            this.db = null;
+        }
+    }
+
+    collection(name) {
+        if (!this.db) {
+            throw new Error('Database not connected');
+        }
+        return this.db.collection(name);
+    }
+
+    async createCollection(name) {
+        const collections = await this.db.listCollections().toArray();
+        if (!collections.some(col => col.name === name)) {
+            await this.db.createCollection(name);
+            console.log(`[Database] Collection '${name}' created`);
+        }
+    }
+
+    async createIndex(name, keys, options = {}) {
+        await this.collection(name).createIndex(keys, options);
+    }
+
+    async findOne(name, filter = {}, options = {}) {
+        return await this.collection(name).findOne(filter, options);
+    }
+
+    async find(name, filter = {}, options = {}) {
+        return await this.collection(name).find(filter, options).toArray();
+    }
+
+    async countDocuments(name, filter = {}) {
+        return await this.collection(name).countDocuments(filter);
+    }
+
+    async insertOne(name, document) {
+        return await this.collection(name).insertOne(document);
+    }
+
+    async updateOne(name, filter, update, options = {}) {
+        return await this.collection(name).updateOne(filter, update, options);
+    }
+
+    async updateMany(name, filter, update) {
+        return await this.collection(name).updateMany(filter, update);
+    }
+
+    async findOneAndUpdate(name, filter, update, options = {}) {
+        return await this.collection(name).findOneAndUpdate(filter, update, {
+            ...options,
+            includeResultMetadata: false
+        });
+    }
+
+    async deleteOne(name, filter) {
+        return await this.collection(name).deleteOne(filter);
+    }
+
+    async deleteMany(name, filter) {
+        return await this.collection(name).deleteMany(filter);
+    }
+
+    /**
+     * Parse a document ID coming from a user
+     * @returns {ObjectId|null} - The ID, or null if it is not a valid ObjectId
+     */
+    toId(value) {
+        // new ObjectId() without a value makes up a fresh ID
+        if (!value) return null;
+        try {
+            return new ObjectId(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // --- Files (GridFS) ---
+
+    bucket(name) {
+        if (!this.db) {
+            throw new Error('Database not connected');
+        }
+        return new GridFSBucket(this.db, { bucketName: name });
+    }
+
+    async saveFile(bucket, buffer, { filename = 'file', metadata } = {}) {
+        return await new Promise((resolve, reject) => {
+            const upload = this.bucket(bucket).openUploadStream(filename, { metadata });
+
+            upload.once('error', reject);
+            upload.once('finish', () => resolve(upload.id.toString()));
+            upload.end(buffer);
+        });
+    }
+
+    async loadFile(bucket, id) {
+        const objectId = this.toId(id);
+        if (!objectId) return null;
+
+        const chunks = [];
+        try {
+            for await (const chunk of this.bucket(bucket).openDownloadStream(objectId)) {
+                chunks.push(chunk);
+            }
+        } catch (error) {
+            // GridFS fails the stream with code ENOENT when the file is gone
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        return Buffer.concat(chunks);
+    }
+
+    async deleteFile(bucket, id) {
+        const objectId = this.toId(id);
+        if (!objectId) return false;
+
+        await this.bucket(bucket).delete(objectId);
+        return true;
+    }
+
+    /**
+     * @returns {Object[]} - { _id, filename, metadata } of the matching files
+     */
+    async findFiles(bucket, filter = {}) {
+        const files = await this.bucket(bucket).find(filter).toArray();
+        return files.map(({ _id, filename, metadata }) => ({ _id: _id.toString(), filename, metadata }));
+    }
+}
+
+export default MongoAdapter;
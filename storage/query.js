@@ -0,0 +1,266 @@
+/**
+ * Query Module
+ * A small evaluator for the MongoDB query and update syntax the bot uses,
+ * so the in-memory and file adapters behave like the MongoDB one.
+ * Unsupported operators throw instead of silently matching everything.
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isOperatorObject(value) {
+    const keys = isPlainObject(value) ? Object.keys(value) : [];
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * Deep copy a document so stored data cannot be changed from outside
+ * Dates and Buffers are copied; other class instances are kept as they are.
+ */
+export function clone(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+function equals(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => equals(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+    }
+    // IDs from other drivers compare by their string form
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        return String(a) === String(b);
+    }
+    return a === b;
+}
+
+/**
+ * Order two values: missing and null first, then numbers, strings and dates
+ */
+export function compare(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return b === undefined || b === null ? 0 : -1;
+    if (b === undefined || b === null) return 1;
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+    if (typeof a === 'object') a = String(a);
+    if (typeof b === 'object') b = String(b);
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+/**
+ * Collect the values at a dotted path, stepping into arrays on the way
+ * like MongoDB does for paths such as 'recentPartners.id'
+ */
+function resolvePath(doc, path) {
+    let values = [doc];
+
+    for (const part of path.split('.')) {
+        const next = [];
+        for (const value of values) {
+            if (Array.isArray(value) && !/^\d+$/.test(part)) {
+                for (const item of value) {
+                    if (item !== null && typeof item === 'object') next.push(item[part]);
+                }
+            } else if (value !== null && typeof value === 'object') {
+                next.push(value[part]);
+            } else {
+                next.push(undefined);
+            }
+        }
+        values = next;
+    }
+
+    return values;
+}
+
+/**
+ * A condition on an array field matches the array or any of its elements
+ */
+function expand(values) {
+    return values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+}
+
+function matchesEquality(values, expected) {
+    if (expected === null) {
+        return values.some(value => value === null || value === undefined);
+    }
+    return expand(values).some(value => equals(value, expected));
+}
+
+const OPERATORS = {
+    $eq: (values, expected) => matchesEquality(values, expected),
+    $ne: (values, expected) => !matchesEquality(values, expected),
+    $gt: (values, expected) => expand(values).some(value => value != null && compare(value, expected) > 0),
+    $gte: (values, expected) => expand(values).some(value => value != null && compare(value, expected) >= 0),
+    $lt: (values, expected) => expand(values).some(value => value != null && compare(value, expected) < 0),
+    $lte: (values, expected) => expand(values).some(value => value != null && compare(value, expected) <= 0),
+    $in: (values, list) => list.some(expected => matchesEquality(values, expected)),
+    $nin: (values, list) => !list.some(expected => matchesEquality(values, expected)),
+    $exists: (values, wanted) => values.some(value => value !== undefined) === Boolean(wanted),
+    $size: (values, size) => values.some(value => Array.isArray(value) && value.length === size),
+    $elemMatch: (values, query) => values.some(value => Array.isArray(value) && value.some(item => (
+        isOperatorObject(query) ? matchesCondition([item], query) : matches(item, query)
+    ))),
+    $not: (values, condition) => !matchesCondition(values, condition)
+};
+
+function matchesCondition(values, condition) {
+    if (condition instanceof RegExp) {
+        return expand(values).some(value => typeof value === 'string' && condition.test(value));
+    }
+    if (!isOperatorObject(condition)) {
+        return matchesEquality(values, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        const test = OPERATORS[operator];
+        if (!test) throw new Error(`Unsupported query operator ${operator}`);
+        return test(values, operand);
+    });
+}
+
+/**
+ * Check a document against a query
+ * @param {Object} doc - The document
+ * @param {Object} query - A MongoDB style filter
+ * @returns {Boolean}
+ */
+export function matches(doc, query = {}) {
+    return Object.entries(query).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return condition.every(part => matches(doc, part));
+            case '$or':
+                return condition.some(part => matches(doc, part));
+            case '$nor':
+                return !condition.some(part => matches(doc, part));
+            default:
+                if (key.startsWith('$')) throw new Error(`Unsupported query operator ${key}`);
+                return matchesCondition(resolvePath(doc, key), condition);
+        }
+    });
+}
+
+/**
+ * Sort documents by a { field: 1 | -1 } spec
+ */
+export function sortDocuments(docs, sort) {
+    const fields = Object.entries(sort || {});
+    if (!fields.length) return docs;
+
+    return docs.sort((a, b) => {
+        for (const [field, direction] of fields) {
+            const order = compare(resolvePath(a, field)[0], resolvePath(b, field)[0]);
+            if (order !== 0) return order * direction;
+        }
+        return 0;
+    });
+}
+
+function setPath(doc, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    let node = doc;
+
+    for (const part of parts) {
+        if (node[part] === null || typeof node[part] !== 'object') node[part] = {};
+        node = node[part];
+    }
+    node[last] = value;
+}
+
+function getPath(doc, path) {
+    return path.split('.').reduce((node, part) => (node == null ? undefined : node[part]), doc);
+}
+
+function unsetPath(doc, path) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const node = parts.reduce((current, part) => (current == null ? undefined : current[part]), doc);
+    if (node && typeof node === 'object') delete node[last];
+}
+
+function eachValues(spec) {
+    return isPlainObject(spec) && '$each' in spec ? spec.$each : [spec];
+}
+
+const UPDATERS = {
+    $set: (doc, path, value) => setPath(doc, path, clone(value)),
+    $unset: (doc, path) => unsetPath(doc, path),
+    $inc: (doc, path, amount) => setPath(doc, path, (getPath(doc, path) || 0) + amount),
+    $push: (doc, path, spec) => {
+        let list = [...(getPath(doc, path) || []), ...eachValues(spec).map(clone)];
+        if (isPlainObject(spec) && spec.$slice !== undefined) {
+            list = spec.$slice < 0 ? list.slice(spec.$slice) : list.slice(0, spec.$slice);
+        }
+        setPath(doc, path, list);
+    },
+    $addToSet: (doc, path, spec) => {
+        const list = [...(getPath(doc, path) || [])];
+        for (const value of eachValues(spec)) {
+            if (!list.some(item => equals(item, value))) list.push(clone(value));
+        }
+        setPath(doc, path, list);
+    },
+    $pull: (doc, path, condition) => {
+        const list = getPath(doc, path);
+        if (!Array.isArray(list)) return;
+        setPath(doc, path, list.filter(item => (
+            isPlainObject(condition) && !isOperatorObject(condition)
+                ? !(isPlainObject(item) && matches(item, condition))
+                : !matchesCondition([item], condition)
+        )));
+    }
+};
+
+/**
+ * Apply an update document in place
+ * @param {Object} doc - The document to change
+ * @param {Object} update - { $set, $unset, $inc, $push, $addToSet, $pull, $setOnInsert }
+ * @param {Boolean} inserting - Whether the document is being created by an upsert
+ */
+export function applyUpdate(doc, update, inserting = false) {
+    for (const [operator, fields] of Object.entries(update)) {
+        if (operator === '$setOnInsert') {
+            if (inserting) {
+                for (const [path, value] of Object.entries(fields)) UPDATERS.$set(doc, path, value);
+            }
+            continue;
+        }
+
+        const apply = UPDATERS[operator];
+        if (!apply) throw new Error(`Unsupported update operator ${operator}`);
+
+        for (const [path, value] of Object.entries(fields)) {
+            apply(doc, path, value);
+        }
+    }
+    return doc;
+}
+
+/**
+ * Build the document an upsert starts from: the plain equality fields of its filter
+ */
+export function upsertBase(filter) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+        if (key.startsWith('$') || isOperatorObject(value)) continue;
+        setPath(doc, key, clone(value));
+    }
+    return doc;
+}
@@ -0,0 +1,64 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestBot, stopTestBot, database, t, user, ADMIN } from './harness.js';
+
+const { default: BanManager } = await import('../modules/ban.js');
+
+const A = user(700);
+const B = user(701);
+
+let harness;
+
+beforeEach(async () => {
+    harness = await startTestBot();
+});
+
+afterEach(async () => {
+    await stopTestBot();
+});
+
+async function status(id) {
+    return await database.findOne('anonymous_chat', { id });
+}
+
+function number(jid) {
+    return jid.split('@')[0];
+}
+
+test('a ban releases a user the matching sweep holds', async () => {
+    const { bot } = harness;
+    const past = new Date(Date.now() - 60 * 1000);
+    await database.insertOne('anonymous_chat', {
+        id: A, status: 'matching', partner: null, tags: [], lastSearchTime: past,
+        matchingUntil: new Date(Date.now() + 30 * 1000)
+    });
+
+    await bot.receive(ADMIN, `.ban ${number(A)} 1h spam`);
+
+    const doc = await status(A);
+    assert.equal(doc.status, 'idle');
+    assert.equal(doc.matchingUntil, undefined);
+
+    await bot.receive(B, '.search');
+    assert.equal((await status(B)).status, 'waiting');
+});
+
+test('a banned user cannot search until the ban expires', async (context) => {
+    context.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { bot } = harness;
+
+    await bot.receive(ADMIN, `.ban ${number(A)} 1h spam`);
+    const ban = await BanManager.getActiveBan(A);
+    bot.clear();
+
+    await bot.receive(A, '.search');
+    assert.deepEqual(bot.textsTo(A), [BanManager.formatBanNotice(ban, 'en')]);
+    assert.notEqual((await status(A))?.status, 'waiting');
+
+    context.mock.timers.tick(61 * 60 * 1000);
+    bot.clear();
+    await bot.receive(A, '.search');
+
+    assert.deepEqual(bot.textsTo(A), [t('en', 'search.searching', { tags: '' })]);
+    assert.equal((await status(A)).status, 'waiting');
+});
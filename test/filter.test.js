@@ -0,0 +1,41 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestBot, stopTestBot } from './harness.js';
+
+const { applyFilters } = await import('../modules/filter.js');
+
+before(async () => {
+    await startTestBot();
+});
+
+after(async () => {
+    await stopTestBot();
+});
+
+async function filter(text, options) {
+    return (await applyFilters(text, options)).text;
+}
+
+test('phone numbers are masked', async () => {
+    assert.equal(await filter('call 0812-3456-7890'), 'call [number hidden]');
+    assert.equal(await filter('wa +62 812 3456 7890 ya'), 'wa [number hidden] ya');
+    assert.equal(await filter('+1 555 123 4567'), '[number hidden]');
+    assert.equal(await filter('62812345678901'), '[number hidden]');
+});
+
+test('dates and amounts are not taken for phone numbers', async () => {
+    for (const text of ['see you on 15-01-2024', 'it costs 10.000.000', 'born 01-01-1990', 'order #12345678']) {
+        assert.equal(await filter(text), text);
+    }
+});
+
+test('masks are in the reader\'s language', async () => {
+    assert.equal(await filter('0812 3456 7890 @someone', { locale: 'id' }), '[nomor disembunyikan] @[disembunyikan]');
+});
+
+test('skipped rules leave their matches alone', async () => {
+    const filtered = await applyFilters('TEL:+62 812 3456 7890 www.example.com', { except: ['phone'] });
+
+    assert.equal(filtered.text, 'TEL:+62 812 3456 7890 www[.]example[.]com');
+    assert.deepEqual(filtered.matched, ['url']);
+});
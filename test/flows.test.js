@@ -0,0 +1,341 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestBot, stopTestBot, database, t, user, waitFor, ADMIN } from './harness.js';
+
+const { mediaSource } = await import('../modules/mediastore.js');
+
+const A = user(1);
+const B = user(2);
+const C = user(3);
+
+let harness;
+
+beforeEach(async () => {
+    harness = await startTestBot();
+});
+
+afterEach(async () => {
+    await stopTestBot();
+});
+
+async function status(id) {
+    return await database.findOne('anonymous_chat', { id });
+}
+
+async function pair(first, second) {
+    await harness.bot.receive(first, '.search');
+    await harness.bot.receive(second, '.search');
+    harness.bot.clear();
+}
+
+test('search queues the first user and pairs the second', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, '.search');
+    assert.deepEqual(bot.textsTo(A), [t('en', 'search.searching', { tags: '' })]);
+    assert.equal((await status(A)).status, 'waiting');
+
+    await bot.receive(B, '.search');
+    const found = t('en', 'search.partnerFound', { interests: '' });
+    assert.ok(bot.textsTo(A).includes(found));
+    assert.ok(bot.textsTo(B).includes(found));
+
+    assert.equal((await status(A)).partner, B);
+    assert.equal((await status(B)).partner, A);
+    assert.equal((await status(B)).status, 'chatting');
+});
+
+test('text is relayed to the partner only', async () => {
+    await pair(A, B);
+    const { bot } = harness;
+
+    await bot.receive(A, 'hello there');
+
+    assert.deepEqual(bot.textsTo(B), ['hello there']);
+    assert.deepEqual(bot.textsTo(A), []);
+});
+
+test('relayed messages are linked by key only', async () => {
+    await pair(A, B);
+    const { bot } = harness;
+
+    const original = await bot.receive(A, 'hello there');
+    const [relayed] = bot.sent;
+    const entry = await database.findOne('message_map', { originalId: original.key.id });
+
+    assert.equal(entry.relayedId, relayed.key.id);
+    assert.equal(entry.originalMessage, null);
+    assert.equal(entry.relayedMessage, null);
+
+    // A reply still quotes A's original, by its key
+    await bot.receive(B, { extendedTextMessage: { text: 'hi', contextInfo: { stanzaId: relayed.key.id } } });
+    const reply = bot.sent.at(-1);
+    assert.equal(reply.jid, A);
+    assert.deepEqual(reply.options.quoted, {
+        key: { remoteJid: A, id: original.key.id, fromMe: false },
+        message: { conversation: t('en', 'relay.quotedMessage') }
+    });
+});
+
+/**
+ * Pair A and B with media allowed, serving every download from `media`
+ */
+async function pairWithMedia(context, media) {
+    context.mock.method(mediaSource, 'download', async () => media);
+    await pair(A, B);
+    await harness.bot.receive(A, '.allowmedia');
+    await harness.bot.receive(B, '.allowmedia');
+    harness.bot.clear();
+}
+
+test('.allowmedia enables media once both partners agree, and off withdraws it', async () => {
+    await pair(A, B);
+    const { bot } = harness;
+
+    await bot.receive(A, '.allowmedia');
+    assert.deepEqual(bot.textsTo(A), [t('en', 'media.allowed')]);
+    assert.deepEqual(bot.textsTo(B), [t('en', 'media.partnerAsks')]);
+
+    bot.clear();
+    await bot.receive(B, '.allowmedia');
+    assert.deepEqual(bot.textsTo(A), [t('en', 'media.enabled')]);
+    assert.deepEqual(bot.textsTo(B), [t('en', 'media.enabled')]);
+
+    bot.clear();
+    await bot.receive(B, '.allowmedia off');
+    assert.deepEqual(bot.textsTo(B), [t('en', 'media.disabled')]);
+    assert.deepEqual(bot.textsTo(A), [t('en', 'media.partnerDisabled')]);
+    assert.equal((await status(B)).mediaConsent, false);
+});
+
+test('media is held back until both partners allow it', async (context) => {
+    const download = context.mock.method(mediaSource, 'download', async () => Buffer.from('fake media'));
+    await pair(A, B);
+    const { bot } = harness;
+    const image = { imageMessage: { url: 'https://mmg.whatsapp.net/i', mimetype: 'image/jpeg', caption: 'my cat' } };
+
+    await bot.receive(A, image);
+    assert.deepEqual(bot.textsTo(A), [t('en', 'media.blocked')]);
+
+    await bot.receive(A, '.allowmedia');
+    bot.clear();
+    await bot.receive(A, image);
+    assert.deepEqual(bot.textsTo(A), [t('en', 'media.blockedWaiting')]);
+
+    assert.deepEqual(bot.textsTo(B), []);
+    assert.equal(download.mock.callCount(), 0);
+});
+
+test('images and videos reach the partner with their captions', async (context) => {
+    const media = Buffer.from('fake media');
+    await pairWithMedia(context, media);
+    const { bot } = harness;
+
+    await bot.receive(A, { imageMessage: { url: 'https://mmg.whatsapp.net/i', mimetype: 'image/jpeg', caption: 'my cat' } });
+    await bot.receive(A, { videoMessage: { url: 'https://mmg.whatsapp.net/v', mimetype: 'video/mp4', caption: 'my dog' } });
+
+    const [image, video] = bot.sent.filter(sent => sent.jid === B).map(sent => sent.content);
+    assert.deepEqual(image, { image: media, caption: 'my cat' });
+    assert.deepEqual(video, { video: media, caption: 'my dog', mimetype: 'video/mp4' });
+});
+
+test('an image that cannot be delivered is queued with its caption', async (context) => {
+    const media = Buffer.from('fake media');
+    await pairWithMedia(context, media);
+    const { bot } = harness;
+    const send = bot.sendMessage;
+    context.mock.method(bot, 'sendMessage', async (jid, ...rest) => {
+        if (jid === B) throw new Error('Connection Closed');
+        return await send.call(bot, jid, ...rest);
+    });
+
+    await bot.receive(A, { imageMessage: { url: 'https://mmg.whatsapp.net/i', mimetype: 'image/jpeg', caption: 'my cat' } });
+
+    const [queued] = await database.find('message_queue', {});
+    assert.equal(queued.messageType, 'image');
+    assert.equal(queued.caption, 'my cat');
+    assert.deepEqual(await database.loadFile('media', queued.mediaId), media);
+    assert.ok(bot.textsTo(A).includes(t('en', 'relay.queued', { type: t('en', 'relay.types.image') })));
+});
+
+test('text from a user without a partner is not relayed', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, '.search');
+    bot.clear();
+    await bot.receive(A, 'anyone?');
+
+    assert.equal(bot.sent.length, 0);
+});
+
+test('.next ends the chat and pairs the user with someone new', async () => {
+    await pair(A, B);
+    const { bot } = harness;
+    await bot.receive(C, '.search');
+    bot.clear();
+
+    await bot.receive(A, '.next');
+
+    assert.ok(bot.textsTo(B).includes(t('en', 'chat.partnerNext')));
+    assert.equal((await status(B)).status, 'idle');
+    assert.equal((await status(A)).partner, C);
+    assert.equal((await status(C)).partner, A);
+});
+
+test('.next without a partner does nothing', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, '.next');
+
+    assert.deepEqual(bot.textsTo(A), [t('en', 'chat.notChatting')]);
+});
+
+test('.stop ends the chat for both users', async () => {
+    await pair(A, B);
+    const { bot } = harness;
+
+    await bot.receive(A, '.stop');
+
+    assert.deepEqual(bot.textsTo(B), [t('en', 'chat.partnerEnded')]);
+    assert.deepEqual(bot.textsTo(A), [t('en', 'chat.ended')]);
+    assert.equal((await status(A)).status, 'idle');
+    assert.equal((await status(B)).status, 'idle');
+
+    // The old partners are kept apart for a while
+    assert.equal((await status(A)).recentPartners[0].id, B);
+});
+
+test('.stop cancels a search', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, '.search');
+    await bot.receive(A, '.stop');
+
+    assert.equal((await status(A)).status, 'idle');
+    assert.ok(bot.textsTo(A).includes(t('en', 'chat.ended')));
+});
+
+test('the bot reconnects after a dropped connection and keeps relaying', async () => {
+    await pair(A, B);
+    const first = harness.bot;
+
+    first.end(new Error('Connection lost'));
+    const second = await waitFor(() => harness.sockets[1]);
+    await second.open();
+
+    await second.receive(A, 'still there?');
+
+    assert.deepEqual(second.textsTo(B), ['still there?']);
+    assert.equal(first.sent.length, 0);
+});
+
+test('the bot steps down instead of reconnecting once the session is taken over', async (context) => {
+    await stopTestBot();
+    const onSessionLost = context.mock.fn();
+    harness = await startTestBot({ onSessionLost });
+
+    const error = new Error('Session taken over by another instance');
+    error.sessionTakenOver = true;
+    harness.bot.end(error);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(harness.sockets.length, 1);
+    assert.equal(onSessionLost.mock.callCount(), 1);
+});
+
+test('a first message in a 1:1 chat gets the welcome text', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, 'hi');
+    await bot.receive(A, 'hello?');
+
+    assert.deepEqual(bot.textsTo(A), [t('en', 'common.welcome', { name: 'MauWhats Bot' })]);
+});
+
+test('groups and replayed history are not welcomed', async () => {
+    const { bot } = harness;
+    const group = '120363000000000000@g.us';
+
+    await bot.receive(group, 'hi all');
+    await bot.emit('messaging-history.set', {
+        messages: [{
+            key: { remoteJid: B, fromMe: false, id: 'OLD1' },
+            message: { conversation: 'sent while the bot was offline' },
+            messageTimestamp: Math.floor(Date.now() / 1000)
+        }]
+    });
+
+    assert.equal(bot.sent.length, 0);
+    assert.equal(await database.countDocuments('anonymous_chat', {}), 0);
+});
+
+test('dotted text from a user in a chat goes to the partner', async () => {
+    await pair(A, B);
+    const { bot } = harness;
+
+    await bot.receive(A, '.lol');
+    await bot.receive(A, '...');
+
+    assert.deepEqual(bot.textsTo(B), ['.lol', '...']);
+    assert.deepEqual(bot.textsTo(A), []);
+});
+
+test('unknown commands are answered only in 1:1 chats', async () => {
+    const { bot } = harness;
+    const unknown = t('en', 'help.unknownCommand', { command: '.help' });
+
+    await bot.receive(A, '.search');
+    bot.clear();
+    await bot.receive(A, '.serch');
+    await bot.receive('120363000000000000@g.us', '.lol');
+
+    assert.deepEqual(bot.textsTo(A), [unknown]);
+    assert.equal(bot.sent.length, 1);
+});
+
+test('a new user\'s unknown command gets only the unknown command reply', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, '.serch');
+
+    assert.deepEqual(bot.textsTo(A), [t('en', 'help.unknownCommand', { command: '.help' })]);
+});
+
+test('a location waiting for confirmation is dropped when the chat ends', async () => {
+    await pair(A, B);
+    const { bot } = harness;
+
+    await bot.receive(A, { locationMessage: { degreesLatitude: -6.2, degreesLongitude: 106.8 } });
+    await bot.receive(A, '.stop');
+    await pair(A, C);
+
+    await bot.receive(A, '.sendloc');
+
+    assert.deepEqual(bot.textsTo(A), [t('en', 'location.nonePending')]);
+    assert.equal(bot.sent.some(sent => sent.content.location), false);
+});
+
+test('admins add, list and delete ads; others cannot', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, '.addad start Hello | Welcome aboard | 5 | 30');
+    assert.deepEqual(bot.textsTo(A), [t('en', 'help.unknownCommand', { command: '.help' })]);
+    assert.equal(await database.countDocuments('advertisements', {}), 0);
+
+    await bot.receive(ADMIN, '.addad start Hello | Welcome aboard | 5 | 30');
+    assert.deepEqual(bot.textsTo(ADMIN), [t('en', 'ads.added')]);
+
+    const [ad] = await database.find('advertisements', {});
+    assert.equal(ad.title, 'Hello');
+    assert.equal(ad.content, 'Welcome aboard');
+
+    bot.clear();
+    await bot.receive(ADMIN, '.listads');
+    assert.match(bot.textsTo(ADMIN)[0], new RegExp(`ID: ${ad._id}\nType: start\nTitle: Hello`));
+
+    bot.clear();
+    await bot.receive(A, `.delad ${ad._id}`);
+    await bot.receive(ADMIN, `.delad ${ad._id}`);
+    assert.deepEqual(bot.textsTo(ADMIN), [t('en', 'ads.deleted', { title: 'Hello' })]);
+    assert.equal(await database.countDocuments('advertisements', {}), 0);
+});
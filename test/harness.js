@@ -0,0 +1,162 @@
+/**
+ * Test Harness
+ * Runs the bot on a fake Baileys socket and the in-memory storage adapter,
+ * so whole flows can be driven without WhatsApp or MongoDB.
+ */
+import { EventEmitter } from 'events';
+
+// The config is read when the modules load, so these go first
+process.env.DB_DRIVER = 'memory';
+process.env.SEARCH_COOLDOWN ??= '0';
+process.env.RECONNECT_INTERVAL ??= '10';
+process.env.BOT_OWNER ??= '19990000000@s.whatsapp.net';
+// Tests reuse the same users, so the flood limits must not kick in
+process.env.RATE_LIMIT_COMMAND_BURST ??= '1000';
+process.env.RATE_LIMIT_TEXT_BURST ??= '1000';
+
+const { startBot } = await import('../bot.js');
+const { default: database } = await import('../database.js');
+const { default: MemoryAdapter } = await import('../storage/memory.js');
+const { default: anonymousChat } = await import('../modules/menu.js');
+const { t } = await import('../modules/i18n.js');
+
+export { database, anonymousChat, t };
+
+export const ADMIN = process.env.BOT_OWNER;
+
+// The bot logs every message; failures still go to console.error
+if (!process.env.TEST_VERBOSE) console.log = () => {};
+
+let messageCounter = 0;
+
+/**
+ * A stand-in for the Baileys socket
+ * Records everything the bot sends and lets tests emit events.
+ */
+export function createFakeSocket() {
+    const ev = new EventEmitter();
+    const sent = [];
+    let sentCounter = 0;
+
+    return {
+        ev,
+        sent,
+        user: { id: '19990000001:1@s.whatsapp.net' },
+
+        async sendMessage(jid, content, options = {}) {
+            const key = { remoteJid: jid, fromMe: true, id: `BOT${++sentCounter}` };
+            sent.push({ jid, content, options, key });
+            // Like Baileys, hand back the message as WhatsApp stores it
+            return { key, message: content.text !== undefined ? { extendedTextMessage: { text: content.text } } : {} };
+        },
+        async readMessages() {},
+        async sendPresenceUpdate() {},
+        async presenceSubscribe() {},
+        async profilePictureUrl() {
+            throw new Error('No profile picture');
+        },
+        async updateMediaMessage(msg) {
+            return msg;
+        },
+
+        /**
+         * Emit an event and wait for every handler to finish
+         */
+        async emit(event, data) {
+            await Promise.all(ev.listeners(event).map(listener => listener(data)));
+        },
+
+        async open() {
+            await this.emit('connection.update', { connection: 'open' });
+        },
+
+        end(error) {
+            this.emit('connection.update', { connection: 'close', lastDisconnect: { error } });
+        },
+
+        /**
+         * Deliver a message to the bot as if a user sent it
+         * @param {String} jid - The sender
+         * @param {String|Object} message - Text, or a full Baileys message content
+         * @returns {Object} - The delivered message
+         */
+        async receive(jid, message) {
+            const msg = {
+                key: { remoteJid: jid, fromMe: false, id: `MSG${++messageCounter}` },
+                message: typeof message === 'string' ? { conversation: message } : message,
+                messageTimestamp: Math.floor(Date.now() / 1000)
+            };
+            await this.emit('messages.upsert', { messages: [msg], type: 'notify' });
+            return msg;
+        },
+
+        /**
+         * Texts sent to a chat, oldest first
+         */
+        textsTo(jid) {
+            return sent.filter(entry => entry.jid === jid && entry.content.text !== undefined)
+                .map(entry => entry.content.text);
+        },
+
+        clear() {
+            sent.length = 0;
+        }
+    };
+}
+
+/**
+ * Start the bot on a fresh in-memory database
+ * @param {Object} options - Extra startBot options
+ * @returns {Object} - { sockets, bot } where bot is the newest socket
+ */
+export async function startTestBot(options = {}) {
+    await database.connect(new MemoryAdapter());
+    await database.initializeCollections();
+
+    const sockets = [];
+    await startBot({
+        ...options,
+        makeSocket: () => {
+            const socket = createFakeSocket();
+            sockets.push(socket);
+            return socket;
+        },
+        auth: { state: {}, saveCreds: async () => {} }
+    });
+    await sockets[0].open();
+
+    return {
+        sockets,
+        get bot() {
+            return sockets[sockets.length - 1];
+        }
+    };
+}
+
+/**
+ * Stop the timers started by the bot so the test process can exit
+ */
+export async function stopTestBot() {
+    anonymousChat.stopBackgroundJobs();
+    await database.close();
+}
+
+/**
+ * A WhatsApp ID for test user n; the +1 country code keeps them on English
+ */
+export function user(n) {
+    return `1555000${String(n).padStart(4, '0')}@s.whatsapp.net`;
+}
+
+/**
+ * Wait until check() returns something truthy
+ */
+export async function waitFor(check, timeout = 2000) {
+    const started = Date.now();
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { t, CATALOGS, placeholdersOf } from '../modules/i18n.js';
+
+const isPlural = (value) => 'one' in value && 'other' in value;
+
+/**
+ * Flatten a catalog into { 'dotted.key': [texts] }
+ * A plural entry is one key; languages without plurals may use a plain string.
+ */
+function flatten(node, prefix = '') {
+    const entries = {};
+    for (const [key, value] of Object.entries(node)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'string') {
+            entries[path] = [value];
+        } else if (isPlural(value)) {
+            entries[path] = [value.one, value.other];
+        } else {
+            Object.assign(entries, flatten(value, path));
+        }
+    }
+    return entries;
+}
+
+const placeholdersIn = (texts) => [...new Set(texts.flatMap(placeholdersOf))].sort();
+
+test('every catalog has the same keys as the English one', () => {
+    const english = Object.keys(flatten(CATALOGS.en)).sort();
+
+    for (const [locale, catalog] of Object.entries(CATALOGS)) {
+        assert.deepEqual(Object.keys(flatten(catalog)).sort(), english, `${locale} differs from en`);
+    }
+});
+
+test('every translation uses the same placeholders as the English text', () => {
+    const english = flatten(CATALOGS.en);
+
+    for (const [locale, catalog] of Object.entries(CATALOGS)) {
+        for (const [key, texts] of Object.entries(flatten(catalog))) {
+            assert.deepEqual(placeholdersIn(texts), placeholdersIn(english[key]), `${locale}: ${key}`);
+        }
+    }
+});
+
+test('missing keys and placeholders throw under test', () => {
+    assert.equal(process.env.NODE_ENV, 'test');
+    assert.throws(() => t('en', 'search.noSuchKey'), /Missing translation "search.noSuchKey"/);
+    assert.throws(() => t('id', 'search.cooldown', { seconds: 5 }), /Missing placeholder "command"/);
+});
+
+test('plural entries pick a form by count', () => {
+    assert.equal(t('en', 'duration.minutes', { count: 1 }), 'about 1 minute');
+    assert.equal(t('en', 'duration.minutes', { count: 3 }), 'about 3 minutes');
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matches, sortDocuments, applyUpdate, upsertBase, clone } from '../storage/query.js';
+
+const user = {
+    id: 'a',
+    status: 'waiting',
+    age: 20,
+    tags: ['music', 'games'],
+    recentPartners: [{ id: 'b', at: new Date('2024-01-01') }, { id: 'c', at: new Date('2024-02-01') }],
+    profile: { gender: 'female' }
+};
+
+test('equality matches fields, dotted paths and array elements', () => {
+    assert.ok(matches(user, { status: 'waiting' }));
+    assert.ok(matches(user, { 'profile.gender': 'female' }));
+    assert.ok(matches(user, { tags: 'music' }));
+    assert.ok(matches(user, { 'recentPartners.id': 'c' }));
+    assert.ok(!matches(user, { status: 'idle' }));
+    assert.ok(matches(user, { partner: null }));
+    assert.ok(matches(user, {}));
+});
+
+test('comparison and set operators', () => {
+    assert.ok(matches(user, { age: { $gte: 18, $lt: 30 } }));
+    assert.ok(!matches(user, { age: { $gt: 20 } }));
+    assert.ok(matches(user, { status: { $in: ['waiting', 'matching'] } }));
+    assert.ok(!matches(user, { status: { $nin: ['waiting', 'matching'] } }));
+    assert.ok(matches(user, { status: { $ne: 'idle' } }));
+    assert.ok(matches(user, { 'recentPartners.at': { $gt: new Date('2024-01-15') } }));
+});
+
+test('$exists, $size, $elemMatch, $not and regular expressions', () => {
+    assert.ok(matches(user, { profile: { $exists: true }, partner: { $exists: false } }));
+    assert.ok(matches(user, { tags: { $size: 2 } }));
+    assert.ok(matches(user, { recentPartners: { $elemMatch: { id: 'b', at: { $lt: new Date('2024-01-02') } } } }));
+    assert.ok(!matches(user, { recentPartners: { $elemMatch: { id: 'b', at: { $gt: new Date('2024-01-02') } } } }));
+    assert.ok(matches(user, { age: { $not: { $gt: 30 } } }));
+    assert.ok(matches(user, { tags: /^gam/ }));
+});
+
+test('$and, $or and $nor', () => {
+    assert.ok(matches(user, { $and: [{ status: 'waiting' }, { age: 20 }] }));
+    assert.ok(matches(user, { $or: [{ status: 'idle' }, { age: 20 }] }));
+    assert.ok(!matches(user, { $nor: [{ status: 'idle' }, { age: 20 }] }));
+});
+
+test('unsupported operators throw instead of matching', () => {
+    assert.throws(() => matches(user, { $where: 'true' }), /Unsupported query operator \$where/);
+    assert.throws(() => matches(user, { age: { $mod: [2, 0] } }), /Unsupported query operator \$mod/);
+    assert.throws(() => applyUpdate({}, { $rename: { a: 'b' } }), /Unsupported update operator \$rename/);
+});
+
+test('update operators change the document in place', () => {
+    const doc = clone(user);
+
+    applyUpdate(doc, {
+        $set: { status: 'chatting', 'profile.age': 21 },
+        $unset: { age: '' },
+        $inc: { strikes: 1 },
+        $push: { recentPartners: { $each: [{ id: 'd' }], $slice: -2 } },
+        $addToSet: { tags: { $each: ['music', 'art'] } }
+    });
+
+    assert.equal(doc.status, 'chatting');
+    assert.equal(doc.profile.age, 21);
+    assert.equal('age' in doc, false);
+    assert.equal(doc.strikes, 1);
+    assert.deepEqual(doc.recentPartners.map(partner => partner.id), ['c', 'd']);
+    assert.deepEqual(doc.tags, ['music', 'games', 'art']);
+
+    applyUpdate(doc, { $pull: { recentPartners: { id: 'c' }, tags: { $in: ['games'] } } });
+    assert.deepEqual(doc.recentPartners, [{ id: 'd' }]);
+    assert.deepEqual(doc.tags, ['music', 'art']);
+
+    // The source document is untouched
+    assert.equal(user.status, 'waiting');
+});
+
+test('$setOnInsert only applies when an upsert inserts', () => {
+    assert.deepEqual(applyUpdate({ id: 'a' }, { $setOnInsert: { createdAt: 1 } }), { id: 'a' });
+    assert.deepEqual(applyUpdate({ id: 'a' }, { $setOnInsert: { createdAt: 1 } }, true), { id: 'a', createdAt: 1 });
+});
+
+test('an upsert starts from the plain equality fields of its filter', () => {
+    assert.deepEqual(
+        upsertBase({ id: 'a', 'profile.gender': 'male', age: { $gt: 18 }, $or: [{ status: 'idle' }] }),
+        { id: 'a', profile: { gender: 'male' } }
+    );
+});
+
+test('documents sort by several fields, missing values first', () => {
+    const docs = [
+        { id: 1, priority: 2, at: new Date(3) },
+        { id: 2, priority: 1, at: new Date(2) },
+        { id: 3, at: new Date(5) },
+        { id: 4, priority: 2, at: new Date(1) }
+    ];
+
+    assert.deepEqual(sortDocuments(docs, { priority: 1, at: -1 }).map(doc => doc.id), [3, 2, 1, 4]);
+});
+
+test('clone copies dates and buffers', () => {
+    const original = { at: new Date(1), data: Buffer.from('x'), list: [{ a: 1 }] };
+    const copy = clone(original);
+
+    assert.deepEqual(copy, original);
+    assert.notEqual(copy.at, original.at);
+    assert.notEqual(copy.data, original.data);
+    assert.notEqual(copy.list[0], original.list[0]);
+});
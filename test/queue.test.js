@@ -0,0 +1,63 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestBot, stopTestBot, database, anonymousChat, user } from './harness.js';
+
+const A = user(300);
+const B = user(301);
+
+let harness;
+
+beforeEach(async () => {
+    harness = await startTestBot();
+    await harness.bot.receive(A, '.search');
+    await harness.bot.receive(B, '.search');
+});
+
+afterEach(async () => {
+    await stopTestBot();
+});
+
+/**
+ * Relay a text from A while sends to B fail, so it lands in the queue
+ */
+async function queueText(context, text) {
+    const { bot } = harness;
+    const send = bot.sendMessage;
+    const failing = context.mock.method(bot, 'sendMessage', async (jid, ...rest) => {
+        if (jid === B) throw new Error('Connection Closed');
+        return await send.call(bot, jid, ...rest);
+    });
+
+    await bot.receive(A, text);
+    failing.mock.restore();
+    bot.clear();
+
+    const [queued] = await database.find('message_queue', {});
+    assert.equal(queued.status, 'pending');
+    return queued;
+}
+
+test('a queued text is delivered without touching the media store', async (context) => {
+    const { bot } = harness;
+    const queued = await queueText(context, 'are you there?');
+    const deleteFile = context.mock.method(database, 'deleteFile');
+
+    await anonymousChat.processMessageQueue(bot);
+
+    assert.ok(bot.textsTo(B)[0].startsWith('are you there?'));
+    assert.equal((await database.findOne('message_queue', { _id: queued._id })).status, 'delivered');
+    assert.equal(deleteFile.mock.callCount(), 0);
+});
+
+test('a queued message from a user muted since is cancelled', async (context) => {
+    const { bot } = harness;
+    const queued = await queueText(context, 'hello');
+
+    await database.insertOne('bans', { userId: A, type: 'mute', expiresAt: null, createdAt: new Date() });
+    await anonymousChat.processMessageQueue(bot);
+
+    assert.deepEqual(bot.textsTo(B), []);
+    const doc = await database.findOne('message_queue', { _id: queued._id });
+    assert.equal(doc.status, 'cancelled');
+    assert.equal(doc.reason, 'sender_mute');
+});
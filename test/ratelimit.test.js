@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Set before the harness loads the config; longer than the 10 minute prune interval
+const SEARCH_COOLDOWN = 30 * 60 * 1000;
+process.env.SEARCH_COOLDOWN = String(SEARCH_COOLDOWN);
+process.env.RATE_LIMIT_COMMAND_BURST = '3';
+
+const { startTestBot, stopTestBot, database, t, user } = await import('./harness.js');
+const { checkCooldown, checkRateLimit } = await import('../modules/ratelimit.js');
+
+let harness;
+
+beforeEach(async () => {
+    harness = await startTestBot();
+});
+
+afterEach(async () => {
+    await stopTestBot();
+});
+
+function cooldownText(command, seconds = SEARCH_COOLDOWN / 1000) {
+    return t('en', 'search.cooldown', { seconds, command });
+}
+
+test('a search that went through starts the cooldown', async () => {
+    const { bot } = harness;
+    const A = user(600);
+
+    await bot.receive(A, '.search');
+    await bot.receive(A, '.stop');
+    bot.clear();
+    await bot.receive(A, '.search');
+
+    assert.deepEqual(bot.textsTo(A), [cooldownText('search')]);
+});
+
+test('a refused search or next does not start the cooldown', async () => {
+    const { bot } = harness;
+    const A = user(610);
+
+    await database.insertOne('bans', { userId: A, type: 'ban', expiresAt: null, createdAt: new Date() });
+    await bot.receive(A, '.search');
+    await database.deleteMany('bans', { userId: A });
+
+    await bot.receive(A, '.next');
+    bot.clear();
+
+    await bot.receive(A, '.search');
+    assert.deepEqual(bot.textsTo(A), [t('en', 'search.searching', { tags: '' })]);
+});
+
+test('a search cooldown survives pruning until it ends', async (context) => {
+    context.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { bot } = harness;
+    const A = user(620);
+
+    await bot.receive(A, '.search');
+    await bot.receive(A, '.stop');
+    context.mock.timers.tick(20 * 60 * 1000);
+
+    // Any rate limit check prunes stale entries
+    checkRateLimit(user(621), 'text');
+
+    bot.clear();
+    await bot.receive(A, '.search');
+    assert.deepEqual(bot.textsTo(A), [cooldownText('search', 10 * 60)]);
+
+    context.mock.timers.tick(10 * 60 * 1000);
+    assert.equal(checkCooldown(A, 'search'), 0);
+});
+
+test('dotted chat text does not spend command tokens', async () => {
+    const { bot } = harness;
+    const [A, B] = [user(630), user(631)];
+    await bot.receive(A, '.search');
+    await bot.receive(B, '.search');
+    bot.clear();
+
+    for (const text of ['...', '.lol', '...', '.hmm', '...']) {
+        await bot.receive(A, text);
+    }
+    await bot.receive(A, '.stop');
+
+    assert.deepEqual(bot.textsTo(B), ['...', '.lol', '...', '.hmm', '...', t('en', 'chat.partnerEnded')]);
+    assert.equal((await database.findOne('anonymous_chat', { id: A })).status, 'idle');
+});
+
+test('registered commands are still rate limited', async () => {
+    const { bot } = harness;
+    const A = user(640);
+
+    for (let i = 0; i < 3; i++) {
+        await bot.receive(A, '.status');
+    }
+    bot.clear();
+    await bot.receive(A, '.status');
+
+    assert.deepEqual(bot.textsTo(A), [t('en', 'rateLimit.warning')]);
+});
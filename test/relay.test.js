@@ -0,0 +1,141 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import baileys from '@whiskeysockets/baileys';
+
+// Edits update the stored bodies, so keep them; set before the harness loads the config
+process.env.STORE_MESSAGE_CONTENT = 'true';
+
+const { startTestBot, stopTestBot, database, anonymousChat, user } = await import('./harness.js');
+const { recordRelayedMessage, findCounterpart, clearExpiredContent } = await import('../modules/relaymap.js');
+
+const { Type } = baileys.proto.Message.ProtocolMessage;
+const A = user(500);
+const B = user(501);
+
+let harness;
+
+beforeEach(async () => {
+    harness = await startTestBot();
+    await harness.bot.receive(A, '.search');
+    await harness.bot.receive(B, '.search');
+    harness.bot.clear();
+});
+
+afterEach(async () => {
+    await stopTestBot();
+});
+
+function edit(original, editedMessage) {
+    return {
+        protocolMessage: { key: original.key, type: Type.MESSAGE_EDIT, editedMessage }
+    };
+}
+
+test('a text edit is mirrored and stored', async () => {
+    const { bot } = harness;
+    const original = await bot.receive(A, 'helo');
+    const [relayed] = bot.sent;
+
+    await bot.receive(A, edit(original, { conversation: 'hello' }));
+
+    const mirrored = bot.sent.at(-1);
+    assert.equal(mirrored.jid, B);
+    assert.deepEqual(mirrored.content, { text: 'hello', edit: relayed.key });
+
+    assert.equal((await findCounterpart(B, relayed.key.id)).message.conversation, 'hello');
+    assert.equal((await findCounterpart(A, original.key.id)).message.extendedTextMessage.text, 'hello');
+});
+
+test('a caption edit is mirrored and stored', async () => {
+    const { bot } = harness;
+    const original = {
+        key: { remoteJid: A, fromMe: false, id: 'IMG1' },
+        message: { imageMessage: { caption: 'my cat' } }
+    };
+    const relayedKey = { remoteJid: B, fromMe: true, id: 'BOTIMG1' };
+    await recordRelayedMessage(original, { key: relayedKey, message: { imageMessage: { caption: 'my cat' } } });
+
+    await bot.receive(A, edit(original, { imageMessage: { caption: 'my dog' } }));
+
+    assert.deepEqual(bot.sent.at(-1).content, { text: 'my dog', edit: relayedKey });
+    assert.equal((await findCounterpart(A, 'IMG1')).message.imageMessage.caption, 'my dog');
+    assert.equal((await findCounterpart(B, 'BOTIMG1')).message.imageMessage.caption, 'my dog');
+});
+
+test('stored bodies are dropped after the content TTL', async (context) => {
+    const { bot } = harness;
+    const original = await bot.receive(A, 'hello');
+    const [relayed] = bot.sent;
+
+    context.mock.timers.enable({ apis: ['Date'], now: Date.now() + 60 * 60 * 1000 });
+    assert.equal((await findCounterpart(B, relayed.key.id)).message, undefined);
+
+    await clearExpiredContent();
+    const entry = await database.findOne('message_map', { originalId: original.key.id });
+    assert.equal(entry.originalMessage, null);
+    assert.equal(entry.relayedMessage, null);
+    assert.equal(entry.relayedId, relayed.key.id);
+});
+
+test('a deletion is mirrored', async () => {
+    const { bot } = harness;
+    const original = await bot.receive(A, 'oops');
+    const [relayed] = bot.sent;
+
+    await bot.receive(A, { protocolMessage: { key: original.key, type: Type.REVOKE } });
+
+    assert.deepEqual(bot.sent.at(-1).content, { delete: relayed.key });
+});
+
+test('other protocol messages are not relayed', async (context) => {
+    const { bot } = harness;
+    const relay = context.mock.method(anonymousChat, 'relayMessage');
+
+    await bot.receive(A, { protocolMessage: { type: Type.EPHEMERAL_SETTING, ephemeralExpiration: 86400 } });
+    await bot.receive(A, { protocolMessage: { type: Type.APP_STATE_SYNC_KEY_SHARE } });
+
+    assert.equal(relay.mock.callCount(), 0);
+    assert.equal(bot.sent.length, 0);
+});
+
+test('the edit of a message nobody relayed is ignored', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, edit({ key: { remoteJid: A, id: 'UNKNOWN' } }, { conversation: 'x' }));
+
+    assert.equal(bot.sent.length, 0);
+    assert.equal(await database.countDocuments('message_map', {}), 0);
+});
+
+test('poll questions and options are filtered', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, {
+        pollCreationMessage: {
+            name: 'call me?',
+            options: [{ optionName: 'yes, 0812 3456 7890' }, { optionName: 'no' }],
+            selectableOptionsCount: 1
+        }
+    });
+
+    assert.deepEqual(bot.sent.at(-1).content.poll, {
+        name: 'call me?',
+        values: ['yes, [number hidden]', 'no'],
+        selectableCount: 1
+    });
+});
+
+test('contact cards keep their number, their names are filtered', async () => {
+    const { bot } = harness;
+
+    await bot.receive(A, {
+        contactMessage: {
+            displayName: 'Me 0812-3456-7890',
+            vcard: 'BEGIN:VCARD\nVERSION:3.0\nFN:Me\nTEL:+62 812 3456 7890\nEND:VCARD'
+        }
+    });
+
+    const [card] = bot.sent.find(sent => sent.jid === B).content.contacts.contacts;
+    assert.equal(card.displayName, 'Me [number hidden]');
+    assert.ok(card.vcard.includes('TEL:+62 812 3456 7890'));
+});
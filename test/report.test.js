@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestBot, stopTestBot, database, t, user } from './harness.js';
+
+const { default: ReportManager } = await import('../modules/report.js');
+
+const TARGET = user(400);
+const reporters = [user(401), user(402), user(403), user(404)];
+
+let harness;
+
+beforeEach(async () => {
+    harness = await startTestBot();
+});
+
+afterEach(async () => {
+    await stopTestBot();
+});
+
+async function target() {
+    return await database.findOne('anonymous_chat', { id: TARGET });
+}
+
+test('two reports filed at once are stored once', async () => {
+    const results = await Promise.all([
+        ReportManager.createReport(reporters[0], TARGET, 'spam'),
+        ReportManager.createReport(reporters[0], TARGET, 'spam again')
+    ]);
+
+    assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+    assert.equal(results.find(result => !result.success).messageKey, 'report.duplicate');
+    assert.equal(await database.countDocuments('reports', {}), 1);
+});
+
+test('a reporter can report again once the first report is closed', async () => {
+    const first = await ReportManager.createReport(reporters[0], TARGET, 'spam');
+    await ReportManager.closeReport(String(first.report._id), 'resolved');
+
+    const second = await ReportManager.createReport(reporters[0], TARGET, 'spam again');
+    assert.equal(second.success, true);
+});
+
+test('reports from before an unsuspend do not suspend the user again', async () => {
+    await database.insertOne('anonymous_chat', { id: TARGET, status: 'idle', partner: null });
+
+    for (const reporter of reporters.slice(0, 3)) {
+        await ReportManager.createReport(reporter, TARGET, 'rude');
+    }
+    assert.equal((await target()).suspended, true);
+
+    // The admin resolves the reports and lifts the suspension
+    for (const report of await ReportManager.listPendingReports()) {
+        await ReportManager.closeReport(String(report._id), 'resolved');
+    }
+    assert.equal(await ReportManager.unsuspendUser(TARGET), true);
+
+    const next = await ReportManager.createReport(reporters[3], TARGET, 'rude');
+    assert.equal(next.suspended, false);
+    assert.equal((await target()).suspended, false);
+});
+
+test('a waiting user who gets suspended is told their search ended', async () => {
+    const { bot } = harness;
+
+    // Two earlier partners already reported the target
+    for (const reporter of reporters.slice(0, 2)) {
+        await ReportManager.createReport(reporter, TARGET, 'rude');
+    }
+
+    await bot.receive(reporters[2], '.search');
+    await bot.receive(TARGET, '.search');
+    await bot.receive(reporters[2], '.stop');
+    await bot.receive(TARGET, '.search');
+    bot.clear();
+
+    await bot.receive(reporters[2], '.report rude');
+
+    assert.equal((await target()).status, 'idle');
+    assert.deepEqual(bot.textsTo(TARGET), [t('en', 'report.searchCancelled')]);
+});
+
+test('a user the matching sweep holds is released when suspended', async () => {
+    await database.insertOne('anonymous_chat', {
+        id: TARGET, status: 'matching', partner: null, tags: [],
+        lastSearchTime: new Date(Date.now() - 60 * 1000),
+        matchingUntil: new Date(Date.now() + 30 * 1000)
+    });
+
+    let result;
+    for (const reporter of reporters.slice(0, 3)) {
+        result = await ReportManager.createReport(reporter, TARGET, 'rude');
+    }
+
+    assert.equal(result.suspended, true);
+    assert.equal(result.searchCancelled, true);
+    const doc = await target();
+    assert.equal(doc.status, 'idle');
+    assert.equal(doc.matchingUntil, undefined);
+});
@@ -0,0 +1,152 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestBot, stopTestBot, database, anonymousChat, t, user, waitFor } from './harness.js';
+
+let harness;
+
+beforeEach(async () => {
+    harness = await startTestBot();
+});
+
+afterEach(async () => {
+    await stopTestBot();
+});
+
+test('concurrent searches pair every user at most once', async () => {
+    const { bot } = harness;
+    const users = Array.from({ length: 24 }, (_, i) => user(100 + i));
+
+    // Every user searches twice at the same moment
+    await Promise.all([...users, ...users].map(id => bot.receive(id, '.search')));
+
+    const docs = new Map((await database.find('anonymous_chat', {})).map(doc => [doc.id, doc]));
+    const found = t('en', 'search.partnerFound', { interests: '' });
+
+    for (const id of users) {
+        const doc = docs.get(id);
+        const announcements = bot.textsTo(id).filter(text => text === found).length;
+
+        if (doc.status === 'chatting') {
+            assert.notEqual(doc.partner, id);
+            assert.equal(docs.get(doc.partner).partner, id, `${id} and ${doc.partner} disagree`);
+            assert.equal(docs.get(doc.partner).status, 'chatting');
+            assert.equal(announcements, 1, `${id} was announced ${announcements} times`);
+        } else {
+            assert.equal(doc.status, 'waiting');
+            assert.equal(doc.partner, null);
+            assert.equal(announcements, 0);
+        }
+
+        // Nobody is left without an answer
+        assert.ok(bot.textsTo(id).length > 0, `${id} got no reply`);
+    }
+});
+
+test('a search that loses its pairing is told it is still searching', async (context) => {
+    const { bot } = harness;
+    const [searcher, waiting] = [user(200), user(201)];
+
+    await bot.receive(waiting, '.search');
+    bot.clear();
+
+    // The matching sweep takes the searcher right after it claimed a partner
+    const claim = database.findOneAndUpdate.bind(database);
+    context.mock.method(database, 'findOneAndUpdate', async (...args) => {
+        const claimed = await claim(...args);
+        await database.updateOne('anonymous_chat', { id: searcher }, { $set: { status: 'matching' } });
+        return claimed;
+    });
+
+    await bot.receive(searcher, '.search');
+
+    assert.deepEqual(bot.textsTo(searcher), [t('en', 'search.stillSearching')]);
+    assert.deepEqual(bot.textsTo(waiting), []);
+
+    // The claimed partner goes back into the queue
+    const released = await database.findOne('anonymous_chat', { id: waiting });
+    assert.equal(released.status, 'waiting');
+    assert.equal(released.partner, null);
+});
+
+/**
+ * Restart the background jobs on mocked intervals, so a test can run the matching sweep
+ */
+async function mockSweep(context) {
+    // Clear the real intervals first, the mock replaces clearInterval too
+    anonymousChat.stopBackgroundJobs();
+    context.mock.timers.enable({ apis: ['setInterval'] });
+    context.after(() => anonymousChat.stopBackgroundJobs());
+    await anonymousChat.initializeCollections();
+    return () => context.mock.timers.tick(15 * 1000);
+}
+
+function searcher(id, fields = {}) {
+    const past = new Date(Date.now() - 60 * 1000);
+    return { id, status: 'waiting', partner: null, tags: [], tagMatchUntil: past, lastSearchTime: past, ...fields };
+}
+
+test('the sweep releases a user left in matching by a crash and pairs them', async (context) => {
+    const runSweep = await mockSweep(context);
+    const [stuck, waiting] = [user(210), user(211)];
+
+    // No claim expiry: left behind by a sweep from before claims expired
+    await database.insertOne('anonymous_chat', searcher(stuck, { status: 'matching' }));
+    await database.insertOne('anonymous_chat', searcher(waiting));
+
+    runSweep();
+    const doc = await waitFor(async () => {
+        const current = await database.findOne('anonymous_chat', { id: stuck });
+        return current.status === 'chatting' && current;
+    });
+
+    assert.equal(doc.partner, waiting);
+    assert.equal(doc.matchingUntil, undefined);
+    assert.equal((await database.findOne('anonymous_chat', { id: waiting })).partner, stuck);
+});
+
+test('.stop during a sweep keeps the user out of the pairing', async (context) => {
+    const runSweep = await mockSweep(context);
+    const { bot } = harness;
+    const [leaving, waiting] = [user(220), user(221)];
+
+    await database.insertOne('anonymous_chat', searcher(leaving, { lastSearchTime: new Date(Date.now() - 120 * 1000) }));
+    await database.insertOne('anonymous_chat', searcher(waiting));
+
+    // The user stops right after the sweep claimed them
+    const update = database.findOneAndUpdate.bind(database);
+    let stopped;
+    context.mock.method(database, 'findOneAndUpdate', async (name, filter, ...rest) => {
+        const result = await update(name, filter, ...rest);
+        if (filter.id === leaving && !stopped) {
+            stopped = true;
+            await bot.receive(leaving, '.stop');
+        }
+        return result;
+    });
+
+    runSweep();
+    await waitFor(() => stopped);
+    await waitFor(async () => (await database.findOne('anonymous_chat', { id: waiting })).status === 'waiting');
+
+    const doc = await database.findOne('anonymous_chat', { id: leaving });
+    assert.equal(doc.status, 'idle');
+    assert.equal(doc.partner, null);
+    assert.equal(bot.textsTo(waiting).length, 0);
+});
+
+test('.status counts users the matching sweep holds as queued', async () => {
+    const { bot } = harness;
+    const A = user(230);
+    await database.insertOne('anonymous_chat', searcher(user(231), {
+        status: 'matching',
+        matchingUntil: new Date(Date.now() + 30 * 1000)
+    }));
+
+    await bot.receive(A, '.search');
+    bot.clear();
+    await bot.receive(A, '.status');
+
+    const [text] = bot.textsTo(A);
+    assert.ok(text.startsWith(t('en', 'status.header', { waiting: 2, chatting: 0 })));
+    assert.match(text, /position in the queue: \*2\*/);
+});
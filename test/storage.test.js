@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import FileAdapter from '../storage/file.js';
+import MongoAdapter from '../storage/mongo.js';
+
+let dir;
+
+beforeEach(async (context) => {
+    context.mock.method(console, 'log', () => {});
+    dir = await mkdtemp(join(tmpdir(), 'storage-test-'));
+});
+
+afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('the file adapter reloads documents and files it saved', async () => {
+    const path = join(dir, 'db.json');
+    const joinedAt = new Date('2024-05-01T10:00:00Z');
+    const media = Buffer.from('fake media');
+
+    const first = new FileAdapter(path);
+    await first.connect();
+    await first.insertOne('anonymous_chat', { id: 'a', joinedAt, avatar: Buffer.from('png'), tags: ['music'] });
+    await first.updateOne('anonymous_chat', { id: 'a' }, { $set: { status: 'waiting' } });
+    const mediaId = await first.saveFile('media', media, { filename: 'cat.jpg', metadata: { owner: 'a' } });
+    const goneId = await first.saveFile('media', Buffer.from('gone'));
+    await first.deleteFile('media', goneId);
+    await first.close();
+
+    const second = new FileAdapter(path);
+    await second.connect();
+    const user = await second.findOne('anonymous_chat', { id: 'a' });
+
+    assert.equal(user.status, 'waiting');
+    assert.ok(user.joinedAt instanceof Date);
+    assert.equal(user.joinedAt.getTime(), joinedAt.getTime());
+    assert.deepEqual(user.avatar, Buffer.from('png'));
+    assert.deepEqual(user.tags, ['music']);
+
+    assert.deepEqual(await second.loadFile('media', mediaId), media);
+    assert.deepEqual(await second.findFiles('media', { 'metadata.owner': 'a' }), [
+        { _id: mediaId, filename: 'cat.jpg', metadata: { owner: 'a' } }
+    ]);
+    assert.equal(await second.loadFile('media', goneId), null);
+    assert.deepEqual(await readdir(join(dir, 'media')), [`media-${mediaId}`]);
+    await second.close();
+});
+
+test('the file adapter starts empty without a data file', async () => {
+    const adapter = new FileAdapter(join(dir, 'db.json'));
+    await adapter.connect();
+
+    assert.equal(await adapter.countDocuments('anonymous_chat', {}), 0);
+    await adapter.close();
+});
+
+test('the MongoDB adapter returns null for a missing GridFS file', async (context) => {
+    const adapter = new MongoAdapter('mongodb://localhost', 'test');
+    // Fail the download the way the driver does for an unknown file ID
+    context.mock.method(adapter, 'bucket', () => ({
+        openDownloadStream: (id) => new Readable({
+            read() {
+                const error = new Error(`FileNotFound: file ${id} was not found`);
+                error.code = 'ENOENT';
+                this.destroy(error);
+            }
+        })
+    }));
+
+    assert.equal(await adapter.loadFile('media', '0123456789abcdef01234567'), null);
+    assert.equal(await adapter.loadFile('media', 'not-an-id'), null);
+});